@@ -439,7 +439,9 @@ app.get('/download/:jobId/:fileName?', (req, res) => {
       '.jpeg': 'image/jpeg',
       '.gif': 'image/gif',
       '.webp': 'image/webp',
-      '.mp4': 'video/mp4'
+      '.apng': 'image/apng',
+      '.mp4': 'video/mp4',
+      '.webm': 'video/webm'
     };
     
     const mimeType = mimeTypes[ext] || 'application/octet-stream';
@@ -5,6 +5,8 @@ const path = require('path');
 const fs = require('fs');
 const puppeteer = require('puppeteer');
 const { v4: uuidv4 } = require('uuid');
+const { VENDOR_PATH, vendorAssets, verifyVendorAssets, viewerScriptTags, inlineViewerScript } = require('./src/middleware/vendorAssets');
+const { normalizeColorManagement } = require('./src/renderer/color-management');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -35,6 +37,7 @@ const rendersDir = path.join(storageDir, 'renders');
 app.use(cors());
 app.use(express.json());
 app.use('/storage', express.static(storageDir));
+app.use(VENDOR_PATH, vendorAssets);
 
 // Multer configuration
 const storage = multer.diskStorage({
@@ -110,6 +113,7 @@ class PuppeteerGLBRenderer {
                 width = config.renderWidth,
                 height = config.renderHeight,
                 views = config.views,
+                color = normalizeColorManagement(),
                 outputDir = rendersDir
             } = options;
 
@@ -147,7 +151,7 @@ class PuppeteerGLBRenderer {
             console.log(`📊 GLB file size: ${(glbBuffer.length / 1024 / 1024).toFixed(2)} MB`);
 
             // Generate enhanced HTML content
-            const htmlContent = this.generateRenderHTML(glbDataUrl, { width, height });
+            const htmlContent = this.generateRenderHTML(glbDataUrl, { width, height, color });
 
             // Set content and wait for page load
             await page.setContent(htmlContent, { 
@@ -157,12 +161,16 @@ class PuppeteerGLBRenderer {
 
             console.log('📝 HTML content loaded, waiting for Three.js...');
 
-            // Wait for Three.js to be ready
+            // Wait for the vendored Three.js bundle (the page refuses to start if an asset is missing)
             await page.waitForFunction(() => {
-                return typeof window.THREE !== 'undefined' && 
-                       typeof window.THREE.GLTFLoader !== 'undefined';
+                return window.threeReady === true || !!window.viewerError;
             }, { timeout: 20000 });
 
+            const viewerError = await page.evaluate(() => window.viewerError);
+            if (viewerError) {
+                throw new Error(`Viewer failed to start: ${viewerError}`);
+            }
+
             console.log('✅ Three.js loaded successfully');
 
             // Initialize the 3D scene
@@ -303,7 +311,7 @@ class PuppeteerGLBRenderer {
     }
 
     generateRenderHTML(glbDataUrl, options) {
-        const { width, height } = options;
+        const { width, height, color } = options;
         
         return `
 <!DOCTYPE html>
@@ -357,8 +365,8 @@ class PuppeteerGLBRenderer {
         </div>
     </div>
 
-    <script src="https://cdnjs.cloudflare.com/ajax/libs/three.js/r158/three.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/three@0.158.0/examples/js/loaders/GLTFLoader.js"></script>
+    ${viewerScriptTags(`http://127.0.0.1:${PORT}`)}
+    ${inlineViewerScript('color')}
     <script>
         console.log('🚀 Initializing GLB renderer...');
         
@@ -403,6 +411,7 @@ class PuppeteerGLBRenderer {
                 renderer.setClearColor(0x1a1a1a, 1);
                 renderer.shadowMap.enabled = true;
                 renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+                ViewerColor.apply(renderer, ${JSON.stringify(color)});
                 
                 document.getElementById('container').appendChild(renderer.domElement);
                 
@@ -524,7 +533,7 @@ class PuppeteerGLBRenderer {
             camera.position.set(view.x, view.y, view.z);
             camera.lookAt(0, 0, 0);
             
-            console.log(\`👁️  Camera set to \${viewName} view:`, view);
+            console.log(\`👁️  Camera set to \${viewName} view:\`, view);
         }
 
         function animate() {
@@ -667,7 +676,8 @@ app.post('/render/:filename', async (req, res) => {
         const options = {
             width: parseInt(req.body.width) || config.renderWidth,
             height: parseInt(req.body.height) || config.renderHeight,
-            views: req.body.views || config.views
+            views: req.body.views || config.views,
+            color: normalizeColorManagement(req.body)
         };
 
         const result = await glbRenderer.renderGLB(filePath, options);
@@ -687,7 +697,7 @@ app.post('/render/:filename', async (req, res) => {
         }
     } catch (error) {
         console.error('❌ Render error:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
             error: error.message
         });
@@ -782,7 +792,8 @@ process.on('SIGTERM', async () => {
     process.exit(0);
 });
 
-// Start server
+// Start server (refuses to start without the vendored viewer assets)
+verifyVendorAssets();
 app.listen(PORT, '0.0.0.0', () => {
     console.log('🚀 Enhanced Puppeteer GLB Renderer Server');
     console.log(`📍 Server running on: http://0.0.0.0:${PORT}`);
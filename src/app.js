@@ -11,6 +11,7 @@ const ipWhitelist = require('./middleware/ipWhitelist');
 const uploadRoutes = require('./routes/upload');
 const renderRoutes = require('./routes/render');
 const healthRoutes = require('./routes/health');
+const { VENDOR_PATH, vendorAssets, verifyVendorAssets } = require('./middleware/vendorAssets');
 
 class GLBRendererServer {
     constructor() {
@@ -27,7 +28,7 @@ class GLBRendererServer {
                 directives: {
                     defaultSrc: ["'self'"],
                     styleSrc: ["'self'", "'unsafe-inline'"],
-                    scriptSrc: ["'self'", "https://cdnjs.cloudflare.com"],
+                    scriptSrc: ["'self'"],
                     imgSrc: ["'self'", "data:"],
                     connectSrc: ["'self'"],
                 },
@@ -52,6 +53,8 @@ class GLBRendererServer {
             },
             standardHeaders: true,
             legacyHeaders: false,
+            // Every render page loads ~20 vendored modules; counting them would throttle renders
+            skip: (req) => req.path.startsWith(VENDOR_PATH),
         });
         this.app.use(limiter);
 
@@ -78,6 +81,10 @@ class GLBRendererServer {
             next();
         });
 
+        // Vendored three.js for viewer pages (before the whitelist: Puppeteer loads it from localhost;
+        // exempt from the rate limiter above)
+        this.app.use(VENDOR_PATH, vendorAssets);
+
         // IP Whitelist middleware (after request logging)
         this.app.use(ipWhitelist);
 
@@ -141,6 +148,10 @@ class GLBRendererServer {
         const host = config.server.host;
 
         try {
+            // Refuse to start without the vendored viewer assets
+            const vendor = verifyVendorAssets();
+            logger.info('Vendored viewer assets verified', vendor);
+
             this.server = this.app.listen(port, host, () => {
                 logger.info(`GLB Renderer Server started successfully`, {
                     port,
@@ -11,6 +11,9 @@ module.exports = {
         path: path.join(__dirname, '../../storage'),
         uploads: path.join(__dirname, '../../storage/uploads'),
         renders: path.join(__dirname, '../../storage/renders'),
+        environments: path.join(__dirname, '../../storage/environments'),
+        lightingRigs: path.join(__dirname, '../../storage/lighting-rigs'),
+        textures: path.join(__dirname, '../../storage/textures'),
         maxFileSize: 100 * 1024 * 1024, // 100MB
         allowedExtensions: ['.glb', '.gltf']
     },
@@ -0,0 +1,104 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Vendored three.js assets for the viewer pages
+ * - Serves the pinned `three` package from node_modules, so renders never touch a CDN
+ * - Render hosts are air-gapped: every asset a viewer page imports must be listed here
+ */
+const VENDOR_PATH = '/vendor';
+const THREE_ROOT = path.resolve(path.dirname(require.resolve('three')), '..');
+const THREE_VERSION = JSON.parse(fs.readFileSync(path.join(THREE_ROOT, 'package.json'), 'utf8')).version;
+const VIEWER_DIR = path.join(__dirname, '../viewer');
+const LOADER_PATH = path.join(VIEWER_DIR, 'three-loader.js');
+
+// Keep in sync with the module list in src/viewer/three-loader.js
+const REQUIRED_ASSETS = [
+    'build/three.module.js',
+    'examples/jsm/loaders/GLTFLoader.js',
+    'examples/jsm/controls/OrbitControls.js',
+    'examples/jsm/environments/RoomEnvironment.js',
+    'examples/jsm/loaders/RGBELoader.js',
+    'examples/jsm/loaders/EXRLoader.js',
+    'examples/jsm/lights/RectAreaLightUniformsLib.js',
+    'examples/jsm/shaders/HorizontalBlurShader.js',
+    'examples/jsm/shaders/VerticalBlurShader.js',
+    'examples/jsm/postprocessing/EffectComposer.js',
+    'examples/jsm/postprocessing/RenderPass.js',
+    'examples/jsm/postprocessing/ShaderPass.js',
+    'examples/jsm/postprocessing/OutputPass.js',
+    'examples/jsm/postprocessing/SSAOPass.js',
+    'examples/jsm/postprocessing/UnrealBloomPass.js',
+    'examples/jsm/postprocessing/OutlinePass.js',
+    'examples/jsm/postprocessing/SMAAPass.js',
+    'examples/jsm/postprocessing/SSAARenderPass.js',
+    'examples/jsm/shaders/FXAAShader.js'
+];
+
+const staticOptions = {
+    maxAge: '7d',
+    immutable: true,
+    fallthrough: false,
+    // Inline viewer pages are loaded with page.setContent() and have an opaque origin
+    setHeaders: (res) => res.set('Access-Control-Allow-Origin', '*')
+};
+
+const vendorAssets = express.Router();
+vendorAssets.use('/three/build', express.static(path.join(THREE_ROOT, 'build'), staticOptions));
+vendorAssets.use('/three/examples/jsm', express.static(path.join(THREE_ROOT, 'examples/jsm'), staticOptions));
+vendorAssets.get('/three-loader.js', (req, res) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.type('application/javascript').sendFile(LOADER_PATH);
+});
+
+/**
+ * Throw if any vendored asset is missing, so the server refuses to start
+ * instead of failing every render later on.
+ */
+function verifyVendorAssets() {
+    const files = REQUIRED_ASSETS.map(asset => path.join(THREE_ROOT, asset)).concat(LOADER_PATH);
+    const missing = files.filter(file => !fs.existsSync(file));
+
+    if (missing.length > 0) {
+        throw new Error(`Missing vendored viewer assets: ${missing.join(', ')}`);
+    }
+
+    return { version: THREE_VERSION, assets: files.length };
+}
+
+/**
+ * Import map and loader tags for viewer HTML
+ * @param {string} baseUrl - Absolute origin for pages without one (page.setContent)
+ */
+function viewerScriptTags(baseUrl = '') {
+    const root = `${baseUrl}${VENDOR_PATH}`;
+    const importMap = {
+        imports: {
+            three: `${root}/three/build/three.module.js`,
+            'three/addons/': `${root}/three/examples/jsm/`
+        }
+    };
+
+    return `<script type="importmap">${JSON.stringify(importMap)}</script>
+    <script type="module" src="${root}/three-loader.js"></script>`;
+}
+
+/**
+ * Inline a shared viewer script (src/viewer/<name>.js) into generated HTML,
+ * for pages that are loaded with page.setContent() and cannot fetch /viewer
+ * @param {string} name - Script name without extension
+ */
+function inlineViewerScript(name) {
+    const source = fs.readFileSync(path.join(VIEWER_DIR, `${name}.js`), 'utf8');
+    return `<script>\n${source}\n</script>`;
+}
+
+module.exports = {
+    VENDOR_PATH,
+    THREE_VERSION,
+    vendorAssets,
+    verifyVendorAssets,
+    viewerScriptTags,
+    inlineViewerScript
+};
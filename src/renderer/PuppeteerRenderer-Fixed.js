@@ -1,11 +1,14 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const { viewerScriptTags, inlineViewerScript } = require('../middleware/vendorAssets');
+const { normalizeColorManagement } = require('./color-management');
 
 class PuppeteerRenderer {
-    constructor() {
+    constructor(assetBaseUrl = `http://127.0.0.1:${process.env.PORT || 3000}`) {
         this.browser = null;
         this.isReady = false;
+        this.assetBaseUrl = assetBaseUrl; // Server that mounts the vendored three.js bundle
     }
 
     async init() {
@@ -47,6 +50,7 @@ class PuppeteerRenderer {
             height = 768,
             views = ['front']
         } = options;
+        const color = normalizeColorManagement(options);
 
         try {
             console.log(`🎨 Rendering GLB: ${path.basename(glbPath)}`);
@@ -61,11 +65,18 @@ class PuppeteerRenderer {
             console.log(`📁 GLB file size: ${glbBuffer.length} bytes`);
             
             // Generate viewer HTML with embedded GLB
-            const viewerHTML = this.generateViewerHTML(glbBase64);
+            const viewerHTML = this.generateViewerHTML(glbBase64, color);
             
             console.log('📄 Setting HTML content...');
             await page.setContent(viewerHTML, { waitUntil: 'networkidle0' });
             
+            // The page refuses to start when a vendored asset is missing
+            await page.waitForFunction(() => window.threeReady === true || !!window.viewerError);
+            const viewerError = await page.evaluate(() => window.viewerError);
+            if (viewerError) {
+                throw new Error(`Viewer failed to start: ${viewerError}`);
+            }
+            
             console.log('⏳ Waiting for GLB to load...');
             
             // Custom polling for GLB loading
@@ -173,8 +184,8 @@ class PuppeteerRenderer {
         }
     }
 
-    generateViewerHTML(glbBase64) {
-        // Use working CDN links and fix GLTFLoader issue
+    generateViewerHTML(glbBase64, color) {
+        // three.js comes from the vendored bundle; init() runs once it is loaded
         return `
 <!DOCTYPE html>
 <html>
@@ -195,8 +206,8 @@ class PuppeteerRenderer {
     <div id="loading">Loading GLB model...</div>
     <div id="container"></div>
     
-    <script src="https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/three@0.158.0/examples/js/loaders/GLTFLoader.js"></script>
+    ${viewerScriptTags(this.assetBaseUrl)}
+    ${inlineViewerScript('color')}
     
     <script>
         let scene, camera, renderer, model;
@@ -232,6 +243,7 @@ class PuppeteerRenderer {
                 renderer.setSize(window.innerWidth, window.innerHeight);
                 renderer.shadowMap.enabled = true;
                 renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+                ViewerColor.apply(renderer, ${JSON.stringify(color)});
                 document.getElementById('container').appendChild(renderer.domElement);
                 
                 // Enhanced lighting
@@ -387,12 +399,8 @@ class PuppeteerRenderer {
             }
         };
         
-        // Initialize when ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', init);
-        } else {
-            setTimeout(init, 100);
-        }
+        // Initialize once the vendored three.js bundle is loaded
+        window.addEventListener('three-ready', init);
     </script>
 </body>
 </html>`;
@@ -0,0 +1,79 @@
+const { AppError } = require('../middleware/errorHandler');
+const { readGltf, listAnimations } = require('./gltf-info');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Animation clip selection for renders
+ * - `animation` is a clip name, a clip index, or { clip, time } / { clip, phase }
+ * - `time` is in seconds, `phase` is normalized (0 = start, 1 = end of the clip)
+ * - With neither, the clip plays from its start
+ *
+ * The viewer only moves clips to explicit times (setAnimation, setFrame in
+ * src/viewer/glb-viewer.html), never on its own, so a given time always produces
+ * the same pose.
+ */
+const invalid = (message) => new AppError(`Invalid animation: ${message}`, 400, 'INVALID_ANIMATION');
+
+const { toNumber } = createValidators(invalid);
+
+function normalizeAnimation(animation) {
+    if (animation == null || animation === false) {
+        return null;
+    }
+    if (typeof animation === 'string' || typeof animation === 'number') {
+        animation = { clip: animation };
+    } else if (!isPlainObject(animation)) {
+        throw invalid('animation must be a clip name, a clip index or an object');
+    }
+
+    const clip = animation.clip != null ? animation.clip : 0;
+    if (!(typeof clip === 'string' && clip !== '') && !(Number.isInteger(clip) && clip >= 0)) {
+        throw invalid('clip must be a clip name or a non-negative index');
+    }
+    if (animation.time != null && animation.phase != null) {
+        throw invalid('use either time or phase, not both');
+    }
+
+    const time = animation.time != null ? toNumber(animation.time, 'time', { min: 0, unit: 'seconds' }) : null;
+    const phase = animation.phase != null ? toNumber(animation.phase, 'phase', { min: 0, max: 1 }) : null;
+
+    return { clip, time, phase };
+}
+
+/**
+ * Validate the `animation` render option against the model's clips
+ * @param {*} animation - Raw render option
+ * @param {string} modelPath - GLB/glTF file the render will load
+ * @returns {Promise<object|null>} { clip (name), index, duration, time } with time in seconds (null = play)
+ */
+async function resolveAnimation(animation, modelPath) {
+    const spec = normalizeAnimation(animation);
+    if (!spec) {
+        return null;
+    }
+
+    const clips = listAnimations(await readGltf(modelPath));
+    const match = typeof spec.clip === 'number'
+        ? clips[spec.clip]
+        : clips.find(clip => clip.name === spec.clip);
+
+    if (!match) {
+        const available = clips.map(clip => `${clip.index}: ${clip.name}`).join(', ') || 'none';
+        throw new AppError(`Animation clip not found: ${spec.clip} (available: ${available})`, 404, 'ANIMATION_NOT_FOUND');
+    }
+    if (spec.time !== null && spec.time > match.duration) {
+        throw invalid(`time ${spec.time}s is past the end of "${match.name}" (${match.duration}s)`);
+    }
+
+    return {
+        clip: match.name,
+        index: match.index,
+        duration: match.duration,
+        time: spec.phase !== null ? spec.phase * match.duration : spec.time
+    };
+}
+
+module.exports = {
+    normalizeAnimation,
+    resolveAnimation
+};
@@ -0,0 +1,259 @@
+const { AppError } = require('../middleware/errorHandler');
+const { readGltf, listNodeNames, sanitizeNodeName } = require('./gltf-info');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Camera specification for render requests
+ * - `position`, `target` and `up` are [x, y, z] arrays or { x, y, z } objects
+ * - `space: 'bbox'` makes positions and lengths relative to the model's normalized
+ *   bounding box (origin at its center, one unit = half its largest dimension)
+ * - Perspective cameras take a vertical `fov` in degrees, orthographic cameras a
+ *   `frustum` of { height } or { left, right, top, bottom }
+ *
+ * Framing controls how named views and turntables fit the model:
+ * - `mode: 'sphere'` fits the bounding sphere (same distance from every angle)
+ * - `mode: 'box'` fits the bounding box corners as seen from the view direction
+ * - `padding` is a percentage of free space around the model, `node` frames a
+ *   named node instead of the whole scene
+ *
+ * A camera path animates a perspective camera through keyframes for videos:
+ * - each keyframe has a `time` in seconds, a `position`, a `target` and a `fov`
+ *   (target and fov carry over from the previous keyframe when omitted)
+ * - `interpolation` is `linear`, `catmull-rom` (smooth curve through every
+ *   keyframe) or `eased` (straight segments that ease in and out of each keyframe)
+ *
+ * All three are applied in the page by src/viewer/camera.js.
+ */
+const CAMERA_TYPES = ['perspective', 'orthographic'];
+const CAMERA_SPACES = ['world', 'bbox'];
+const FRAMING_MODES = ['sphere', 'box'];
+const PATH_INTERPOLATIONS = ['linear', 'catmull-rom', 'eased'];
+const DEFAULT_FOV = 50;
+const DEFAULT_PADDING = 10;
+
+const invalid = (message) => new AppError(`Invalid camera: ${message}`, 400, 'INVALID_CAMERA');
+const invalidFraming = (message) => new AppError(`Invalid framing: ${message}`, 400, 'INVALID_FRAMING');
+
+const { toNumber, toVector } = createValidators(invalid);
+const { toNumber: toFramingNumber } = createValidators(invalidFraming);
+
+function toPositive(value, name) {
+    return toNumber(value, name, { min: 0, minExclusive: true });
+}
+
+function normalizeFrustum(frustum) {
+    if (frustum == null) {
+        return null;
+    }
+    if (!isPlainObject(frustum)) {
+        throw invalid('frustum must be an object');
+    }
+
+    if (frustum.height != null) {
+        return { height: toPositive(frustum.height, 'frustum.height') };
+    }
+
+    const bounds = {};
+    for (const side of ['left', 'right', 'top', 'bottom']) {
+        bounds[side] = toNumber(frustum[side], `frustum.${side}`);
+    }
+    if (bounds.left >= bounds.right || bounds.bottom >= bounds.top) {
+        throw invalid('frustum must have left < right and bottom < top');
+    }
+    return bounds;
+}
+
+/**
+ * Validate a camera object from a render request
+ * @param {object|null|undefined} camera - Raw `camera` from the request body
+ * @returns {object|null} Normalized spec, or null when no camera was given
+ */
+function normalizeCameraSpec(camera) {
+    if (camera == null) {
+        return null;
+    }
+    if (!isPlainObject(camera)) {
+        throw invalid('camera must be an object');
+    }
+
+    const type = camera.type || 'perspective';
+    if (!CAMERA_TYPES.includes(type)) {
+        throw invalid(`type must be one of ${CAMERA_TYPES.join(', ')}`);
+    }
+
+    const space = camera.space || 'world';
+    if (!CAMERA_SPACES.includes(space)) {
+        throw invalid(`space must be one of ${CAMERA_SPACES.join(', ')}`);
+    }
+
+    if (camera.position == null) {
+        throw invalid('position is required');
+    }
+
+    const spec = {
+        type,
+        space,
+        position: toVector(camera.position, 'position'),
+        target: camera.target != null ? toVector(camera.target, 'target') : [0, 0, 0],
+        up: camera.up != null ? toVector(camera.up, 'up') : [0, 1, 0],
+        near: camera.near != null ? toPositive(camera.near, 'near') : null,
+        far: camera.far != null ? toPositive(camera.far, 'far') : null
+    };
+
+    if (spec.up.every(component => component === 0)) {
+        throw invalid('up must not be a zero vector');
+    }
+    if (spec.position.every((component, index) => component === spec.target[index])) {
+        throw invalid('position and target must differ');
+    }
+    if (spec.near != null && spec.far != null && spec.near >= spec.far) {
+        throw invalid('near must be less than far');
+    }
+
+    if (type === 'perspective') {
+        spec.fov = camera.fov != null ? toNumber(camera.fov, 'fov') : DEFAULT_FOV;
+        if (spec.fov <= 0 || spec.fov >= 180) {
+            throw invalid('fov must be between 0 and 180 degrees');
+        }
+    } else {
+        spec.frustum = normalizeFrustum(camera.frustum);
+    }
+
+    return spec;
+}
+
+/**
+ * Validate a camera path from a render request
+ * @param {Array|object|null|undefined} cameraPath - Keyframe list, or { keyframes, interpolation, space, up }
+ * @returns {object|null} { interpolation, space, up, duration, keyframes: [{ time, position, target, fov }] }
+ */
+function normalizeCameraPath(cameraPath) {
+    if (cameraPath == null) {
+        return null;
+    }
+    if (Array.isArray(cameraPath)) {
+        cameraPath = { keyframes: cameraPath };
+    } else if (!isPlainObject(cameraPath)) {
+        throw invalid('cameraPath must be a list of keyframes or an object');
+    }
+
+    const interpolation = cameraPath.interpolation || 'linear';
+    if (!PATH_INTERPOLATIONS.includes(interpolation)) {
+        throw invalid(`cameraPath.interpolation must be one of ${PATH_INTERPOLATIONS.join(', ')}`);
+    }
+
+    const space = cameraPath.space || 'world';
+    if (!CAMERA_SPACES.includes(space)) {
+        throw invalid(`cameraPath.space must be one of ${CAMERA_SPACES.join(', ')}`);
+    }
+
+    const up = cameraPath.up != null ? toVector(cameraPath.up, 'cameraPath.up') : [0, 1, 0];
+    if (up.every(component => component === 0)) {
+        throw invalid('cameraPath.up must not be a zero vector');
+    }
+
+    if (!Array.isArray(cameraPath.keyframes) || cameraPath.keyframes.length < 2) {
+        throw invalid('cameraPath needs at least two keyframes');
+    }
+
+    let previous = { time: -Infinity, target: [0, 0, 0], fov: DEFAULT_FOV };
+    const keyframes = cameraPath.keyframes.map((keyframe, index) => {
+        const name = `cameraPath.keyframes[${index}]`;
+        if (!isPlainObject(keyframe)) {
+            throw invalid(`${name} must be an object`);
+        }
+        if (keyframe.position == null) {
+            throw invalid(`${name}.position is required`);
+        }
+
+        const time = toNumber(keyframe.time, `${name}.time`);
+        if (time < 0 || time <= previous.time) {
+            throw invalid(`${name}.time must be 0 or more and later than the previous keyframe`);
+        }
+
+        const normalized = {
+            time,
+            position: toVector(keyframe.position, `${name}.position`),
+            target: keyframe.target != null ? toVector(keyframe.target, `${name}.target`) : previous.target,
+            fov: keyframe.fov != null ? toNumber(keyframe.fov, `${name}.fov`) : previous.fov
+        };
+        if (normalized.fov <= 0 || normalized.fov >= 180) {
+            throw invalid(`${name}.fov must be between 0 and 180 degrees`);
+        }
+        if (normalized.position.every((component, axis) => component === normalized.target[axis])) {
+            throw invalid(`${name} position and target must differ`);
+        }
+
+        previous = normalized;
+        return normalized;
+    });
+
+    return {
+        interpolation,
+        space,
+        up,
+        duration: keyframes[keyframes.length - 1].time,
+        keyframes
+    };
+}
+
+/**
+ * Validate framing options from a render request
+ * @param {object|string|null|undefined} framing - Raw `framing`, or a mode name
+ * @returns {object} Normalized framing with defaults applied
+ */
+function normalizeFraming(framing) {
+    if (framing == null) {
+        framing = {};
+    } else if (typeof framing === 'string') {
+        framing = { mode: framing };
+    } else if (!isPlainObject(framing)) {
+        throw invalidFraming('framing must be an object or a mode name');
+    }
+
+    const mode = framing.mode || 'sphere';
+    if (!FRAMING_MODES.includes(mode)) {
+        throw invalidFraming(`mode must be one of ${FRAMING_MODES.join(', ')}`);
+    }
+
+    // Percentage of free space around the model
+    const padding = framing.padding != null ? toFramingNumber(framing.padding, 'padding', { min: 0, max: 100 }) : DEFAULT_PADDING;
+
+    if (framing.node != null && (typeof framing.node !== 'string' || framing.node.trim() === '')) {
+        throw invalidFraming('node must be a node name');
+    }
+
+    return {
+        mode,
+        padding,
+        node: framing.node || null
+    };
+}
+
+/**
+ * Validate the `framing` render option, checking its node against the model
+ * @param {string|object|undefined} framing - Mode name or { mode, padding, node }
+ * @param {string} modelPath - GLB/glTF file the render will load
+ * @returns {Promise<object>} { mode, padding, node }
+ */
+async function resolveFraming(framing, modelPath) {
+    const normalized = normalizeFraming(framing);
+    if (normalized.node) {
+        const nodeNames = listNodeNames(await readGltf(modelPath));
+        if (!nodeNames.has(sanitizeNodeName(normalized.node))) {
+            throw new AppError(`Node not found: ${normalized.node}`, 404, 'NODE_NOT_FOUND');
+        }
+    }
+    return normalized;
+}
+
+module.exports = {
+    CAMERA_TYPES,
+    CAMERA_SPACES,
+    FRAMING_MODES,
+    PATH_INTERPOLATIONS,
+    normalizeCameraSpec,
+    normalizeCameraPath,
+    normalizeFraming,
+    resolveFraming
+};
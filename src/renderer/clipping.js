@@ -0,0 +1,112 @@
+const { AppError } = require('../middleware/errorHandler');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Section (clipping) planes for cutaway renders
+ * - Each plane has a `normal` (an axis like 'x' or '-y', or [x, y, z]) and a position:
+ *   `constant` in model units, as in three.js (the plane is normal · p + constant = 0),
+ *   or `bboxFraction`, how far through the model's bounding box the plane sits along
+ *   the normal (0 = nothing cut, 1 = everything cut)
+ * - The side the normal points to is kept; with several planes, only what every
+ *   plane keeps is drawn
+ * - A position can be `{ from, to }` to sweep the plane through the model in a video
+ *   (stills show `to`)
+ * - `cap` fills the cut with a solid color, so closed meshes look solid instead of hollow
+ *
+ * Applied in the page by src/viewer/clipping.js.
+ */
+const CLIPPING_AXES = {
+    x: [1, 0, 0],
+    y: [0, 1, 0],
+    z: [0, 0, 1],
+    '-x': [-1, 0, 0],
+    '-y': [0, -1, 0],
+    '-z': [0, 0, -1]
+};
+const MAX_PLANES = 6;
+
+const invalid = (message) => new AppError(`Invalid clipping: ${message}`, 400, 'INVALID_CLIPPING');
+
+const { toNumber, toColor } = createValidators(invalid);
+
+function toNormal(value, name) {
+    if (typeof value === 'string' && Object.prototype.hasOwnProperty.call(CLIPPING_AXES, value.toLowerCase())) {
+        return CLIPPING_AXES[value.toLowerCase()];
+    }
+    if (Array.isArray(value) && value.length === 3 && value.every(item => typeof item === 'number' && Number.isFinite(item))) {
+        const length = Math.hypot(...value);
+        if (length > 0) {
+            return value.map(item => item / length);
+        }
+    }
+    throw invalid(`${name} must be an axis (${Object.keys(CLIPPING_AXES).join(', ')}) or a non-zero [x, y, z] vector`);
+}
+
+// A number, or { from, to } for a sweep
+function toPosition(value, name, min, max) {
+    if (isPlainObject(value)) {
+        if (value.from == null || value.to == null) {
+            throw invalid(`${name} sweeps need both from and to`);
+        }
+        return {
+            from: toNumber(value.from, `${name}.from`, { min, max }),
+            to: toNumber(value.to, `${name}.to`, { min, max })
+        };
+    }
+    const position = toNumber(value, name, { min, max });
+    return { from: position, to: position };
+}
+
+function normalizePlane(plane, index) {
+    const name = `clipping[${index}]`;
+    if (!isPlainObject(plane)) {
+        throw invalid(`${name} must be an object`);
+    }
+
+    const unknown = Object.keys(plane).filter(key => !['normal', 'constant', 'bboxFraction', 'cap'].includes(key));
+    if (unknown.length > 0) {
+        throw invalid(`${name} has unknown properties: ${unknown.join(', ')}`);
+    }
+    if ((plane.constant != null) === (plane.bboxFraction != null)) {
+        throw invalid(`${name} needs either constant or bboxFraction`);
+    }
+
+    const by = plane.constant != null ? 'constant' : 'bboxFraction';
+    const position = by === 'constant'
+        ? toPosition(plane.constant, `${name}.constant`, -Infinity, Infinity)
+        : toPosition(plane.bboxFraction, `${name}.bboxFraction`, 0, 1);
+
+    return {
+        normal: toNormal(plane.normal, `${name}.normal`),
+        by,
+        from: position.from,
+        to: position.to,
+        cap: plane.cap != null ? toColor(plane.cap, `${name}.cap`) : null
+    };
+}
+
+/**
+ * Validate the `clipping` render option
+ * @param {Array|object|undefined} clipping - [{ normal, constant | bboxFraction, cap }], or one plane
+ * @returns {Array<object>|null} [{ normal: [x, y, z], by: 'constant'|'bboxFraction', from, to, cap }]
+ */
+function normalizeClipping(clipping) {
+    if (clipping == null || clipping === false) {
+        return null;
+    }
+    const planes = Array.isArray(clipping) ? clipping : [clipping];
+    if (planes.length === 0 || planes.length > MAX_PLANES) {
+        throw invalid(`clipping must be a list of 1 to ${MAX_PLANES} planes`);
+    }
+    return planes.map(normalizePlane);
+}
+
+function isClippingSweep(clipping) {
+    return !!(clipping && clipping.some(plane => plane.from !== plane.to));
+}
+
+module.exports = {
+    CLIPPING_AXES,
+    normalizeClipping,
+    isClippingSweep
+};
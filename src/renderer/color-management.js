@@ -0,0 +1,55 @@
+const { AppError } = require('../middleware/errorHandler');
+const { createValidators } = require('./validation');
+
+/**
+ * Tone mapping, exposure and output color space for renders
+ * - Every render path applies the normalized settings with src/viewer/color.js,
+ *   so a model looks the same whichever endpoint rendered it
+ * - Defaults match what the job viewer has always used (ACES filmic, sRGB)
+ */
+const TONE_MAPPINGS = ['none', 'linear', 'reinhard', 'aces', 'agx', 'neutral'];
+const OUTPUT_COLOR_SPACES = ['srgb', 'srgb-linear', 'display-p3'];
+
+const COLOR_DEFAULTS = {
+    toneMapping: 'aces',
+    exposure: 1,
+    outputColorSpace: 'srgb'
+};
+
+const invalid = (message) => new AppError(`Invalid color: ${message}`, 400, 'INVALID_COLOR');
+
+const { toNumber } = createValidators(invalid);
+
+/**
+ * Validate color options from a render request
+ * @param {object} options - Render options holding toneMapping, exposure, outputColorSpace
+ * @returns {object} Normalized { toneMapping, exposure, outputColorSpace }
+ */
+function normalizeColorManagement(options = {}) {
+    const toneMapping = options.toneMapping != null
+        ? String(options.toneMapping).toLowerCase()
+        : COLOR_DEFAULTS.toneMapping;
+    if (!TONE_MAPPINGS.includes(toneMapping)) {
+        throw invalid(`toneMapping must be one of ${TONE_MAPPINGS.join(', ')}`);
+    }
+
+    const exposure = options.exposure != null
+        ? toNumber(options.exposure, 'exposure', { min: 0, minExclusive: true, max: 16 })
+        : COLOR_DEFAULTS.exposure;
+
+    const outputColorSpace = options.outputColorSpace != null
+        ? String(options.outputColorSpace).toLowerCase()
+        : COLOR_DEFAULTS.outputColorSpace;
+    if (!OUTPUT_COLOR_SPACES.includes(outputColorSpace)) {
+        throw invalid(`outputColorSpace must be one of ${OUTPUT_COLOR_SPACES.join(', ')}`);
+    }
+
+    return { toneMapping, exposure, outputColorSpace };
+}
+
+module.exports = {
+    TONE_MAPPINGS,
+    OUTPUT_COLOR_SPACES,
+    COLOR_DEFAULTS,
+    normalizeColorManagement
+};
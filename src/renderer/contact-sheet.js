@@ -0,0 +1,161 @@
+const sharp = require('sharp');
+const { AppError } = require('../middleware/errorHandler');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Contact sheets: every rendered view of a model on one image, for QA review
+ * - `layout`: `grid`, filled left to right, top to bottom
+ * - `columns`: cells per row (default: as square a grid as the view count allows)
+ * - `gap`: pixels between cells and around the sheet
+ * - `labels`: caption under each cell with the view name and the model name
+ * - `background`: hex color, or `transparent` (flattened to white for JPEG)
+ *
+ * Used by the job renderer (src/renderer/puppeteer-renderer.js) and /api/render/multi.
+ */
+const COMPOSITE_LAYOUTS = ['grid'];
+const MAX_COLUMNS = 64;
+
+const COMPOSITE_DEFAULTS = {
+    layout: 'grid',
+    columns: null,
+    gap: 16,
+    labels: true,
+    background: '#ffffff'
+};
+
+const invalid = (message) => new AppError(`Invalid composite: ${message}`, 400, 'INVALID_COMPOSITE');
+
+const { toNumber, toColor } = createValidators(invalid);
+
+/**
+ * Validate the `composite` render option
+ * @param {boolean|object|undefined} composite - true, or { layout, columns, gap, labels, background }
+ * @returns {object|null} Normalized composite, or null when not requested
+ */
+function normalizeComposite(composite) {
+    if (composite == null || composite === false) {
+        return null;
+    }
+    if (composite === true) {
+        composite = {};
+    } else if (!isPlainObject(composite)) {
+        throw invalid('composite must be true or an object');
+    }
+
+    const layout = composite.layout || COMPOSITE_DEFAULTS.layout;
+    if (!COMPOSITE_LAYOUTS.includes(layout)) {
+        throw invalid(`layout must be one of ${COMPOSITE_LAYOUTS.join(', ')}`);
+    }
+
+    const columns = composite.columns != null
+        ? toNumber(composite.columns, 'columns', { min: 1, max: MAX_COLUMNS, integer: true })
+        : COMPOSITE_DEFAULTS.columns;
+    const gap = composite.gap != null
+        ? toNumber(composite.gap, 'gap', { min: 0, max: 256, integer: true, unit: 'pixels' })
+        : COMPOSITE_DEFAULTS.gap;
+
+    const labels = composite.labels != null ? composite.labels : COMPOSITE_DEFAULTS.labels;
+    if (typeof labels !== 'boolean') {
+        throw invalid('labels must be true or false');
+    }
+
+    // A hex color, or 'transparent'
+    const background = composite.background != null ? composite.background : COMPOSITE_DEFAULTS.background;
+
+    return {
+        layout,
+        columns,
+        gap,
+        labels,
+        background: background === 'transparent' ? background : toColor(background, 'background')
+    };
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, (character) => `&#${character.charCodeAt(0)};`);
+}
+
+// { r, g, b, alpha } for Sharp, and a caption color that reads on it
+function parseBackground(background) {
+    if (background === 'transparent') {
+        return { fill: { r: 0, g: 0, b: 0, alpha: 0 }, text: '#333333' };
+    }
+    const hex = background.length === 4
+        ? background.slice(1).split('').map(digit => digit + digit).join('')
+        : background.slice(1);
+    const [r, g, b] = [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+    const luminance = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+    return { fill: { r, g, b, alpha: 1 }, text: luminance > 0.5 ? '#222222' : '#eeeeee' };
+}
+
+// Two-line caption (view name, model name) rendered by Sharp from SVG
+function captionSvg(width, height, fontSize, color, label, title) {
+    return Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<text x="${width / 2}" y="${fontSize * 1.2}" text-anchor="middle" font-family="sans-serif" ` +
+        `font-size="${fontSize}" font-weight="bold" fill="${color}">${escapeXml(label)}</text>` +
+        `<text x="${width / 2}" y="${fontSize * 2.5}" text-anchor="middle" font-family="sans-serif" ` +
+        `font-size="${Math.round(fontSize * 0.85)}" fill="${color}" fill-opacity="0.7">${escapeXml(title)}</text>` +
+        '</svg>'
+    );
+}
+
+/**
+ * Lay out rendered views on one sheet
+ * @param {Array<{image: Buffer, label: string}>} cells - Encoded images (any format Sharp reads), in order
+ * @param {object} composite - Result of normalizeComposite
+ * @param {string} title - Model name, captioned under every cell
+ * @returns {Promise<object>} { image (PNG), width, height, columns, rows, cellWidth, cellHeight }
+ */
+async function buildContactSheet(cells, composite, title) {
+    if (cells.length === 0) {
+        throw new AppError('Nothing to put on the contact sheet: no view rendered', 500, 'COMPOSITE_FAILED');
+    }
+
+    const sizes = await Promise.all(cells.map(cell => sharp(cell.image).metadata()));
+    const cellWidth = Math.max(...sizes.map(size => size.width));
+    const cellHeight = Math.max(...sizes.map(size => size.height));
+    const columns = Math.min(composite.columns || Math.ceil(Math.sqrt(cells.length)), cells.length);
+    const rows = Math.ceil(cells.length / columns);
+
+    // Caption text scales with the cell so it stays legible on large renders
+    const fontSize = Math.max(12, Math.min(48, Math.round(cellWidth / 24)));
+    const captionHeight = composite.labels ? Math.ceil(fontSize * 3) : 0;
+    const { gap } = composite;
+    const width = columns * cellWidth + (columns + 1) * gap;
+    const height = rows * (cellHeight + captionHeight) + (rows + 1) * gap;
+    const background = parseBackground(composite.background);
+
+    const layers = [];
+    cells.forEach((cell, index) => {
+        const left = gap + (index % columns) * (cellWidth + gap);
+        const top = gap + Math.floor(index / columns) * (cellHeight + captionHeight + gap);
+        // Smaller images are centered in their cell
+        layers.push({
+            input: cell.image,
+            left: left + Math.floor((cellWidth - sizes[index].width) / 2),
+            top: top + Math.floor((cellHeight - sizes[index].height) / 2)
+        });
+        if (composite.labels) {
+            layers.push({
+                input: captionSvg(cellWidth, captionHeight, fontSize, background.text, cell.label, title),
+                left,
+                top: top + cellHeight
+            });
+        }
+    });
+
+    const image = await sharp({
+        create: { width, height, channels: 4, background: background.fill },
+        limitInputPixels: false
+    }).composite(layers).png().toBuffer();
+
+    return { image, width, height, columns, rows, cellWidth, cellHeight };
+}
+
+module.exports = {
+    COMPOSITE_LAYOUTS,
+    COMPOSITE_DEFAULTS,
+    normalizeComposite,
+    buildContactSheet
+};
@@ -0,0 +1,131 @@
+const { AppError } = require('../middleware/errorHandler');
+const { readGltf, listNodeNames, sanitizeNodeName } = require('./gltf-info');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Dimension and measurement overlays for spec sheets
+ * - `box`: width, height and depth lines along the edges of the model's bounding box
+ *   (visible parts only), each labeled with its length
+ * - `measurements`: point-to-point lines between the origins of two named nodes
+ *   (e.g. empties placed on mounting holes), with an optional label
+ * - `units`: m, cm, mm or in, converted from glTF units (meters); `precision`: decimals
+ * - `color` and `fontSize` (output pixels; default scales with the image)
+ *
+ * Drawn in the page by src/viewer/dimensions.js as an SVG overlay over the canvas,
+ * so it is captured with the screenshot at output resolution, crisp in every tile.
+ */
+const DIMENSION_UNITS = {
+    m: 1,
+    cm: 100,
+    mm: 1000,
+    in: 1 / 0.0254
+};
+
+const DEFAULT_PRECISION = { m: 2, cm: 1, mm: 0, in: 2 };
+
+const DIMENSIONS_DEFAULTS = {
+    box: true,
+    units: 'm',
+    color: '#222222',
+    fontSize: null
+};
+
+const MAX_MEASUREMENTS = 50;
+
+const invalid = (message) => new AppError(`Invalid dimensions: ${message}`, 400, 'INVALID_DIMENSIONS');
+
+const { toNumber, toColor } = createValidators(invalid);
+
+function toNodeName(value, name) {
+    if (typeof value !== 'string' || value === '') {
+        throw invalid(`${name} must be a node name`);
+    }
+    return value;
+}
+
+function normalizeMeasurement(measurement, index) {
+    const name = `measurements[${index}]`;
+    if (!isPlainObject(measurement)) {
+        throw invalid(`${name} must be an object`);
+    }
+    if (measurement.label != null && (typeof measurement.label !== 'string' || measurement.label.length > 100)) {
+        throw invalid(`${name}.label must be text of up to 100 characters`);
+    }
+    const from = toNodeName(measurement.from, `${name}.from`);
+    const to = toNodeName(measurement.to, `${name}.to`);
+    if (from === to) {
+        throw invalid(`${name} measures from a node to itself`);
+    }
+    return { from, to, label: measurement.label || null };
+}
+
+/**
+ * Validate the `dimensions` render option against the model's nodes
+ * @param {boolean|string|object|undefined} dimensions - true, a unit, or { box, units, precision, color, fontSize, measurements }
+ * @param {string} modelPath - GLB/glTF file the render will load
+ * @returns {Promise<object|null>} { box, units, unitScale, precision, color, fontSize, measurements: [{ from, to, label }] }
+ */
+async function resolveDimensions(dimensions, modelPath) {
+    if (dimensions == null || dimensions === false) {
+        return null;
+    }
+    if (dimensions === true) {
+        dimensions = {};
+    } else if (typeof dimensions === 'string') {
+        dimensions = { units: dimensions };
+    } else if (!isPlainObject(dimensions)) {
+        throw invalid('dimensions must be true, a unit or an object');
+    }
+
+    const units = dimensions.units || DIMENSIONS_DEFAULTS.units;
+    if (!Object.prototype.hasOwnProperty.call(DIMENSION_UNITS, units)) {
+        throw invalid(`units must be one of ${Object.keys(DIMENSION_UNITS).join(', ')}`);
+    }
+
+    const precision = dimensions.precision != null
+        ? toNumber(dimensions.precision, 'precision', { min: 0, max: 4, integer: true, unit: 'decimals' })
+        : DEFAULT_PRECISION[units];
+    const color = dimensions.color != null ? toColor(dimensions.color, 'color') : DIMENSIONS_DEFAULTS.color;
+    const fontSize = dimensions.fontSize != null
+        ? toNumber(dimensions.fontSize, 'fontSize', { min: 6, max: 200, unit: 'pixels' })
+        : DIMENSIONS_DEFAULTS.fontSize;
+
+    const measurements = dimensions.measurements != null ? dimensions.measurements : [];
+    if (!Array.isArray(measurements) || measurements.length > MAX_MEASUREMENTS) {
+        throw invalid(`measurements must be a list of up to ${MAX_MEASUREMENTS} measurements`);
+    }
+    const normalized = measurements.map(normalizeMeasurement);
+
+    if (dimensions.box != null && typeof dimensions.box !== 'boolean') {
+        throw invalid('box must be true or false');
+    }
+    const box = dimensions.box != null ? dimensions.box : DIMENSIONS_DEFAULTS.box;
+    if (!box && normalized.length === 0) {
+        throw invalid('nothing to draw (enable box or add measurements)');
+    }
+
+    if (normalized.length > 0) {
+        const nodeNames = listNodeNames(await readGltf(modelPath));
+        for (const measurement of normalized) {
+            const missing = [measurement.from, measurement.to].find(name => !nodeNames.has(sanitizeNodeName(name)));
+            if (missing) {
+                throw new AppError(`Node not found: ${missing}`, 404, 'NODE_NOT_FOUND');
+            }
+        }
+    }
+
+    return {
+        box,
+        units,
+        unitScale: DIMENSION_UNITS[units],
+        precision,
+        color,
+        fontSize,
+        measurements: normalized
+    };
+}
+
+module.exports = {
+    DIMENSION_UNITS,
+    resolveDimensions
+};
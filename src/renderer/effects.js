@@ -0,0 +1,143 @@
+const { AppError } = require('../middleware/errorHandler');
+const { readGltf, listNodeNames, sanitizeNodeName } = require('./gltf-info');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Screen-space effects rendered in the page with an EffectComposer chain
+ * - `ssao`: ambient occlusion; `radius` is relative to the model's normalized
+ *   bounding box (one unit = half its largest dimension)
+ * - `bloom`: glow around bright areas (UnrealBloomPass)
+ * - `antialias`: `smaa`, `fxaa`, or `ssaa` supersampling with `samples` per pixel
+ * - `outline`: outlines named nodes; a missing node fails the request with a 404
+ * Each effect is `true` for its defaults or an object of parameters.
+ *
+ * Built in the page by src/viewer/effects.js.
+ */
+const EFFECTS = ['ssao', 'bloom', 'antialias', 'outline'];
+const ANTIALIAS_MODES = ['smaa', 'fxaa', 'ssaa'];
+const SSAA_SAMPLES = [2, 4, 8, 16];
+
+const invalid = (message) => new AppError(`Invalid effects: ${message}`, 400, 'INVALID_EFFECTS');
+
+const { toNumber, toColor } = createValidators(invalid);
+
+// true -> {}, object -> object, anything else is an error
+function toParams(value, name) {
+    if (value === true) {
+        return {};
+    }
+    if (!isPlainObject(value)) {
+        throw invalid(`${name} must be true or an object`);
+    }
+    return value;
+}
+
+function param(params, key, name, fallback, min, max) {
+    return params[key] != null ? toNumber(params[key], `${name}.${key}`, { min, max }) : fallback;
+}
+
+function normalizeSsao(value) {
+    const params = toParams(value, 'ssao');
+    return {
+        radius: param(params, 'radius', 'ssao', 0.15, 0.01, 2),
+        minDistance: param(params, 'minDistance', 'ssao', 0.001, 0, 1),
+        maxDistance: param(params, 'maxDistance', 'ssao', 0.05, 0, 1)
+    };
+}
+
+function normalizeBloom(value) {
+    const params = toParams(value, 'bloom');
+    return {
+        strength: param(params, 'strength', 'bloom', 0.6, 0, 5),
+        radius: param(params, 'radius', 'bloom', 0.4, 0, 1),
+        threshold: param(params, 'threshold', 'bloom', 0.85, 0, 1)
+    };
+}
+
+function normalizeAntialias(value) {
+    const params = typeof value === 'string' ? { mode: value } : toParams(value, 'antialias');
+    const mode = params.mode || 'smaa';
+    if (!ANTIALIAS_MODES.includes(mode)) {
+        throw invalid(`antialias.mode must be one of ${ANTIALIAS_MODES.join(', ')}`);
+    }
+
+    const antialias = { mode };
+    if (mode === 'ssaa') {
+        const samples = params.samples != null ? toNumber(params.samples, 'antialias.samples', { integer: true }) : 4;
+        if (!SSAA_SAMPLES.includes(samples)) {
+            throw invalid(`antialias.samples must be one of ${SSAA_SAMPLES.join(', ')}`);
+        }
+        antialias.samples = samples;
+    }
+    return antialias;
+}
+
+function normalizeOutline(value) {
+    const params = Array.isArray(value) ? { nodes: value } : toParams(value, 'outline');
+    const nodes = typeof params.nodes === 'string' ? [params.nodes] : params.nodes;
+    if (!Array.isArray(nodes) || nodes.length === 0 || nodes.some(node => typeof node !== 'string' || node.trim() === '')) {
+        throw invalid('outline.nodes must be a non-empty list of node names');
+    }
+
+    return {
+        nodes,
+        color: params.color != null ? toColor(params.color, 'outline.color') : '#ffaa00',
+        hiddenColor: params.hiddenColor != null ? toColor(params.hiddenColor, 'outline.hiddenColor') : '#552200',
+        thickness: param(params, 'thickness', 'outline', 1, 0.5, 4),
+        strength: param(params, 'strength', 'outline', 3, 0, 10)
+    };
+}
+
+/**
+ * Validate the `effects` render option
+ * @param {object|undefined} effects - { ssao, bloom, antialias, outline }
+ * @returns {object|null} Normalized effects (disabled ones omitted), or null when none are enabled
+ */
+function normalizeEffects(effects) {
+    if (effects == null || effects === false) {
+        return null;
+    }
+    if (!isPlainObject(effects)) {
+        throw invalid('effects must be an object');
+    }
+
+    const unknown = Object.keys(effects).filter(key => !EFFECTS.includes(key));
+    if (unknown.length > 0) {
+        throw invalid(`unknown effect ${unknown.join(', ')}; use ${EFFECTS.join(', ')}`);
+    }
+
+    const normalized = {};
+    const enabled = (key) => effects[key] != null && effects[key] !== false;
+
+    if (enabled('ssao')) normalized.ssao = normalizeSsao(effects.ssao);
+    if (enabled('bloom')) normalized.bloom = normalizeBloom(effects.bloom);
+    if (enabled('antialias')) normalized.antialias = normalizeAntialias(effects.antialias);
+    if (enabled('outline')) normalized.outline = normalizeOutline(effects.outline);
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Validate the `effects` render option, checking outlined nodes against the model
+ * @param {object|undefined} effects - { ssao, bloom, antialias, outline }
+ * @param {string} modelPath - GLB/glTF file the render will load
+ * @returns {Promise<object|null>} Normalized effects, or null when none are enabled
+ */
+async function resolveEffects(effects, modelPath) {
+    const normalized = normalizeEffects(effects);
+    if (normalized && normalized.outline) {
+        const nodeNames = listNodeNames(await readGltf(modelPath));
+        const missing = normalized.outline.nodes.find(name => !nodeNames.has(sanitizeNodeName(name)));
+        if (missing) {
+            throw new AppError(`Node not found: ${missing}`, 404, 'NODE_NOT_FOUND');
+        }
+    }
+    return normalized;
+}
+
+module.exports = {
+    EFFECTS,
+    ANTIALIAS_MODES,
+    normalizeEffects,
+    resolveEffects
+};
@@ -0,0 +1,146 @@
+const { AppError } = require('../middleware/errorHandler');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Encoder settings for animated outputs (turntables, clips, camera paths)
+ * - `mp4`: H.264, no alpha; `crf` 0-51 (lower is better) and an optional `bitrate` cap
+ * - `webm`: VP9, keeps alpha with `transparent: true`; `crf` 0-63 and an optional `bitrate`
+ *   (without one the quality is constant, with one it is capped)
+ * - `webp`: animated WebP, keeps alpha; `quality` 0-100 or `lossless`, and `loop`
+ * - `apng`: animated PNG, lossless with alpha; zlib `compression` 0-9 and `loop`
+ *
+ * `bitrate` is in bits per second, as a number or with a k/M suffix ("4M").
+ * `loop` is the number of plays, 0 = forever. GIF has no settings; it is
+ * encoded with a palette generated from the frames themselves.
+ */
+const VIDEO_FORMATS = ['mp4', 'webm', 'apng', 'webp'];
+
+const ENCODING_DEFAULTS = {
+    mp4: { crf: 18, bitrate: null },
+    webm: { crf: 31, bitrate: null },
+    webp: { quality: 80, lossless: false, loop: 0 },
+    apng: { compression: 9, loop: 0 }
+};
+
+const invalid = (message) => new AppError(`Invalid encoding: ${message}`, 400, 'INVALID_ENCODING');
+
+const { toNumber } = createValidators(invalid);
+
+function toBitrate(value) {
+    if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+        return String(Math.round(value));
+    }
+    if (typeof value === 'string' && /^\d+(\.\d+)?[kM]?$/.test(value) && parseFloat(value) > 0) {
+        return value;
+    }
+    throw invalid('bitrate must be a positive number of bits per second, optionally with a k or M suffix');
+}
+
+/**
+ * Validate the `encoding` render option for the output format
+ * Motion renders requested in a still format (e.g. a PNG turntable job) are
+ * encoded as MP4, so those formats are validated as MP4.
+ * @param {string} format - Requested output format
+ * @param {object|undefined} encoding - Raw `encoding` option
+ * @returns {object|null} { format, ...settings }, or null for GIF
+ */
+function normalizeEncoding(format, encoding) {
+    if (format === 'gif') {
+        return null;
+    }
+    if (encoding == null) {
+        encoding = {};
+    } else if (!isPlainObject(encoding)) {
+        throw invalid('encoding must be an object');
+    }
+
+    const target = VIDEO_FORMATS.includes(format) ? format : 'mp4';
+    const defaults = ENCODING_DEFAULTS[target];
+
+    const unknown = Object.keys(encoding).filter(key => !(key in defaults));
+    if (unknown.length > 0) {
+        throw invalid(`${target} does not support ${unknown.join(', ')}; use ${Object.keys(defaults).join(', ')}`);
+    }
+
+    const settings = { format: target, ...defaults };
+    if (encoding.crf != null) {
+        settings.crf = toNumber(encoding.crf, 'crf', { min: 0, max: target === 'webm' ? 63 : 51, integer: true });
+    }
+    if (encoding.bitrate != null) {
+        settings.bitrate = toBitrate(encoding.bitrate);
+    }
+    if (encoding.quality != null) {
+        settings.quality = toNumber(encoding.quality, 'quality', { min: 0, max: 100, integer: true });
+    }
+    if (encoding.lossless != null) {
+        settings.lossless = encoding.lossless === true;
+    }
+    if (encoding.compression != null) {
+        settings.compression = toNumber(encoding.compression, 'compression', { min: 0, max: 9, integer: true });
+    }
+    if (encoding.loop != null) {
+        settings.loop = toNumber(encoding.loop, 'loop', { min: 0, max: 65535, integer: true });
+    }
+
+    return settings;
+}
+
+/**
+ * FFmpeg output arguments (codec, pixel format, rate control) for normalized settings
+ * @param {object} encoding - Result of normalizeEncoding, or { format: 'gif' }
+ * @param {boolean} alpha - Keep the alpha channel where the format supports it
+ * @returns {string[]}
+ */
+function ffmpegOutputArgs(encoding, alpha) {
+    switch (encoding.format) {
+        case 'gif':
+            // One pass: the palette is built from all frames, then applied to them
+            return [
+                '-lavfi', 'split[frames][source];[source]palettegen=stats_mode=diff[palette];[frames][palette]paletteuse=dither=bayer:bayer_scale=5',
+                '-f', 'gif'
+            ];
+        case 'webm':
+            return [
+                '-c:v', 'libvpx-vp9',
+                '-pix_fmt', alpha ? 'yuva420p' : 'yuv420p',
+                '-crf', encoding.crf.toString(),
+                '-b:v', encoding.bitrate || '0',
+                // Alt-ref frames are not supported together with alpha
+                ...(alpha ? ['-auto-alt-ref', '0'] : []),
+                '-row-mt', '1',
+                '-f', 'webm'
+            ];
+        case 'webp':
+            return [
+                '-c:v', 'libwebp_anim',
+                '-pix_fmt', alpha ? 'yuva420p' : 'yuv420p',
+                '-lossless', encoding.lossless ? '1' : '0',
+                '-quality', encoding.quality.toString(),
+                '-loop', encoding.loop.toString(),
+                '-f', 'webp'
+            ];
+        case 'apng':
+            return [
+                '-c:v', 'apng',
+                '-pix_fmt', alpha ? 'rgba' : 'rgb24',
+                '-compression_level', encoding.compression.toString(),
+                '-plays', encoding.loop.toString(),
+                '-f', 'apng'
+            ];
+        default:
+            return [
+                '-c:v', 'libx264',
+                '-pix_fmt', 'yuv420p',
+                '-crf', encoding.crf.toString(),
+                ...(encoding.bitrate ? ['-maxrate', encoding.bitrate, '-bufsize', encoding.bitrate] : []),
+                '-movflags', '+faststart'
+            ];
+    }
+}
+
+module.exports = {
+    VIDEO_FORMATS,
+    ENCODING_DEFAULTS,
+    normalizeEncoding,
+    ffmpegOutputArgs
+};
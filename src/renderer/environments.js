@@ -0,0 +1,68 @@
+const config = require('../config/config');
+const { AppError } = require('../middleware/errorHandler');
+const { createFileLibrary } = require('./file-library');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Environment map library (HDR/EXR) for image-based lighting
+ * - Files live in storage/environments (see src/renderer/file-library.js)
+ * - Render requests reference them by id, the viewer loads them from /storage/environments
+ */
+const BACKGROUND_MODES = ['none', 'sharp', 'blurred'];
+
+const invalid = (message) => new AppError(`Invalid environment: ${message}`, 400, 'INVALID_ENVIRONMENT');
+
+const { toNumber } = createValidators(invalid);
+
+const environmentLibrary = createFileLibrary({
+    directory: config.storage.environments,
+    urlPath: '/storage/environments',
+    extensions: ['.hdr', '.exr']
+});
+
+/**
+ * Validate the `environment` render option and resolve its id to a URL
+ * @param {object|string|null|undefined} environment - Raw option, or just an id
+ * @returns {Promise<object|null>} Normalized environment settings
+ */
+async function normalizeEnvironmentSpec(environment) {
+    if (environment == null) {
+        return null;
+    }
+    if (typeof environment === 'string') {
+        environment = { id: environment };
+    }
+    if (!isPlainObject(environment)) {
+        throw invalid('must be an object or an environment id');
+    }
+
+    const stored = await environmentLibrary.get(environment.id);
+    if (!stored) {
+        throw new AppError(`Environment not found: ${environment.id}`, 404, 'ENVIRONMENT_NOT_FOUND');
+    }
+
+    const intensity = environment.intensity != null ? toNumber(environment.intensity, 'intensity', { min: 0 }) : 1;
+    const rotation = environment.rotation != null ? toNumber(environment.rotation, 'rotation', { unit: 'degrees' }) : 0;
+
+    const background = environment.background || 'none';
+    if (!BACKGROUND_MODES.includes(background)) {
+        throw invalid(`background must be one of ${BACKGROUND_MODES.join(', ')}`);
+    }
+
+    const blur = environment.blur != null ? toNumber(environment.blur, 'blur', { min: 0, max: 1 }) : 0.5;
+
+    return {
+        id: stored.id,
+        url: stored.url,
+        intensity,
+        rotation, // degrees around the vertical axis
+        background,
+        blur
+    };
+}
+
+module.exports = {
+    BACKGROUND_MODES,
+    environmentLibrary,
+    normalizeEnvironmentSpec
+};
@@ -0,0 +1,108 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Library of uploaded files (environment maps, textures) in one storage directory
+ * - Files live there as `<uuid>.<ext>` with a `<uuid>.json` sidecar
+ * - Render requests reference them by id, the viewer loads them from `urlPath`
+ *
+ * Served over HTTP by src/routes/file-library.js.
+ * @param {object} options - { directory, urlPath, extensions: ['.ext', ...] }
+ * @returns {object} { directory, extensions, filePath, saveMetadata, get, list, remove }
+ */
+function createFileLibrary({ directory, urlPath, extensions }) {
+    const idPattern = new RegExp(`^[\\w-]+(${extensions.map(extension => `\\${extension}`).join('|')})$`, 'i');
+
+    function filePath(id) {
+        return path.join(directory, id);
+    }
+
+    function sidecarPath(id) {
+        return filePath(`${path.parse(id).name}.json`);
+    }
+
+    async function readSidecar(id) {
+        try {
+            return JSON.parse(await fs.readFile(sidecarPath(id), 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Record metadata for a freshly uploaded file
+     */
+    async function saveMetadata(id, metadata) {
+        await fs.writeFile(sidecarPath(id), JSON.stringify(metadata, null, 2));
+    }
+
+    /**
+     * Look up a file by id
+     * @returns {Promise<object|null>} File info, or null when it does not exist
+     */
+    async function get(id) {
+        if (typeof id !== 'string' || !idPattern.test(id)) {
+            return null;
+        }
+
+        try {
+            const stats = await fs.stat(filePath(id));
+            const metadata = await readSidecar(id);
+            return {
+                id,
+                name: metadata.originalName || id,
+                format: path.extname(id).slice(1).toLowerCase(),
+                size: stats.size,
+                uploadedAt: metadata.uploadedAt || stats.birthtime.toISOString(),
+                url: `${urlPath}/${id}`
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async function list() {
+        let files;
+        try {
+            files = await fs.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const entries = await Promise.all(
+            files.filter(file => idPattern.test(file)).map(get)
+        );
+        return entries.filter(entry => entry !== null);
+    }
+
+    async function remove(id) {
+        const entry = await get(id);
+        if (!entry) {
+            return false;
+        }
+
+        await fs.unlink(filePath(id));
+        await fs.unlink(sidecarPath(id)).catch(() => {});
+        return true;
+    }
+
+    return {
+        directory,
+        extensions,
+        filePath,
+        saveMetadata,
+        get,
+        list,
+        remove
+    };
+}
+
+module.exports = {
+    createFileLibrary
+};
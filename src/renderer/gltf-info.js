@@ -0,0 +1,152 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Read-only inspection of glTF/GLB files without a browser
+ * Only the JSON document is parsed; binary buffers are never loaded.
+ */
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const JSON_CHUNK = 0x4e4f534a; // 'JSON'
+
+/**
+ * Load the glTF JSON document of a .glb or .gltf file
+ * @returns {Promise<object>} Parsed glTF JSON
+ */
+async function readGltf(filePath) {
+    let buffer;
+    try {
+        buffer = await fs.readFile(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new AppError(`Model not found: ${path.basename(filePath)}`, 404, 'MODEL_NOT_FOUND');
+        }
+        throw error;
+    }
+
+    try {
+        if (buffer.length >= 20 && buffer.readUInt32LE(0) === GLB_MAGIC) {
+            const chunkLength = buffer.readUInt32LE(12);
+            if (buffer.readUInt32LE(16) !== JSON_CHUNK) {
+                throw new Error('first chunk is not JSON');
+            }
+            return JSON.parse(buffer.toString('utf8', 20, 20 + chunkLength));
+        }
+        return JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+        throw new AppError(`Invalid glTF file ${path.basename(filePath)}: ${error.message}`, 400, 'INVALID_MODEL');
+    }
+}
+
+/**
+ * Animation clips in file order, as GLTFLoader exposes them
+ * @returns {Array<object>} [{ index, name, duration, channels }]
+ */
+function listAnimations(gltf) {
+    const accessors = gltf.accessors || [];
+
+    return (gltf.animations || []).map((animation, index) => {
+        // Sampler inputs are keyframe times; glTF requires their min/max
+        const duration = (animation.samplers || []).reduce((longest, sampler) => {
+            const input = accessors[sampler.input];
+            const end = input && Array.isArray(input.max) ? input.max[0] : 0;
+            return Math.max(longest, end);
+        }, 0);
+
+        return {
+            index,
+            name: animation.name || `animation_${index}`,
+            duration,
+            channels: (animation.channels || []).length
+        };
+    });
+}
+
+/**
+ * Material variants (KHR_materials_variants) in file order, with the materials
+ * each one switches primitives to
+ * @returns {Array<object>} [{ index, name, materials }]; empty without the extension
+ */
+function listVariants(gltf) {
+    const extension = gltf.extensions && gltf.extensions.KHR_materials_variants;
+    if (!extension) {
+        return [];
+    }
+
+    const materials = gltf.materials || [];
+    const variants = (extension.variants || []).map((variant, index) => ({
+        index,
+        name: variant.name || `variant_${index}`,
+        materials: new Set()
+    }));
+
+    for (const mesh of gltf.meshes || []) {
+        for (const primitive of mesh.primitives || []) {
+            const mappings = primitive.extensions && primitive.extensions.KHR_materials_variants
+                ? primitive.extensions.KHR_materials_variants.mappings || []
+                : [];
+            for (const mapping of mappings) {
+                const material = materials[mapping.material];
+                const materialName = (material && material.name) || `material_${mapping.material}`;
+                for (const index of mapping.variants || []) {
+                    if (variants[index]) {
+                        variants[index].materials.add(materialName);
+                    }
+                }
+            }
+        }
+    }
+
+    return variants.map(variant => ({ ...variant, materials: [...variant.materials] }));
+}
+
+/**
+ * Node names as the viewer sees them: GLTFLoader replaces whitespace with `_`
+ * and drops `[ ] . : /` (THREE.PropertyBinding.sanitizeNodeName)
+ */
+function sanitizeNodeName(name) {
+    return name.replace(/\s/g, '_').replace(/[[\].:/]/g, '');
+}
+
+/**
+ * Materials in file order, with the nodes whose meshes use them
+ * @returns {Array<object>} [{ index, name, nodes }]
+ */
+function listMaterials(gltf) {
+    const materials = (gltf.materials || []).map((material, index) => ({
+        index,
+        name: material.name || `material_${index}`,
+        nodes: new Set()
+    }));
+
+    for (const node of gltf.nodes || []) {
+        const mesh = node.mesh != null ? (gltf.meshes || [])[node.mesh] : null;
+        if (!mesh || !node.name) {
+            continue;
+        }
+        for (const primitive of mesh.primitives || []) {
+            if (materials[primitive.material]) {
+                materials[primitive.material].nodes.add(sanitizeNodeName(node.name));
+            }
+        }
+    }
+
+    return materials.map(material => ({ ...material, nodes: [...material.nodes] }));
+}
+
+/**
+ * Names of every node in the file, as the viewer sees them
+ * @returns {Set<string>}
+ */
+function listNodeNames(gltf) {
+    return new Set((gltf.nodes || []).filter(node => node.name).map(node => sanitizeNodeName(node.name)));
+}
+
+module.exports = {
+    readGltf,
+    listAnimations,
+    listVariants,
+    listMaterials,
+    listNodeNames,
+    sanitizeNodeName
+};
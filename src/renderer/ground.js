@@ -0,0 +1,63 @@
+const { AppError } = require('../middleware/errorHandler');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Shadow-catcher ground plane
+ * - The plane is invisible except for the shadows it receives, and sits at the
+ *   lowest point of the model's bounding box
+ * - `shadows: 'contact'` renders soft contact shadows (depth from below, blurred),
+ *   `'cast'` catches shadows from shadow-casting lights, `'both'` combines them
+ * - Shadows keep their alpha, so they survive transparent output
+ *
+ * Built in the page by src/viewer/ground.js.
+ */
+const GROUND_SHADOWS = ['contact', 'cast', 'both'];
+
+const GROUND_DEFAULTS = {
+    shadows: 'contact',
+    opacity: 0.5,
+    blur: 3,
+    size: 2
+};
+
+const invalid = (message) => new AppError(`Invalid ground: ${message}`, 400, 'INVALID_GROUND');
+
+const { toNumber } = createValidators(invalid);
+
+/**
+ * Validate the `ground` render option
+ * @param {boolean|string|object|undefined} ground - true, a shadows mode, or { shadows, opacity, blur, size }
+ * @returns {object|null} Normalized ground, or null when disabled
+ */
+function normalizeGround(ground) {
+    if (ground == null || ground === false) {
+        return null;
+    }
+    if (ground === true) {
+        ground = {};
+    } else if (typeof ground === 'string') {
+        ground = { shadows: ground };
+    } else if (!isPlainObject(ground)) {
+        throw invalid('ground must be true, a shadows mode or an object');
+    }
+
+    const shadows = ground.shadows || GROUND_DEFAULTS.shadows;
+    if (!GROUND_SHADOWS.includes(shadows)) {
+        throw invalid(`shadows must be one of ${GROUND_SHADOWS.join(', ')}`);
+    }
+
+    return {
+        shadows,
+        // Shadow strength, 0 (invisible) to 1 (black)
+        opacity: ground.opacity != null ? toNumber(ground.opacity, 'opacity', { min: 0, max: 1 }) : GROUND_DEFAULTS.opacity,
+        // Contact shadow softness, in shadow texels
+        blur: ground.blur != null ? toNumber(ground.blur, 'blur', { min: 0, max: 10 }) : GROUND_DEFAULTS.blur,
+        // Plane extent, as a multiple of the model's largest horizontal dimension
+        size: ground.size != null ? toNumber(ground.size, 'size', { min: 1, max: 20 }) : GROUND_DEFAULTS.size
+    };
+}
+
+module.exports = {
+    GROUND_SHADOWS,
+    normalizeGround
+};
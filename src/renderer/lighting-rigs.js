@@ -0,0 +1,246 @@
+const path = require('path');
+const fs = require('fs').promises;
+const config = require('../config/config');
+const { AppError } = require('../middleware/errorHandler');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Declarative lighting rigs
+ * - `lighting` in a render request is a preset name, `{ lights: [...] }`, or
+ *   `{ rig: '<name>' }` referencing a rig saved in storage/lighting-rigs
+ * - Light positions and targets are absolute, or relative to the model's normalized
+ *   bounding box with `space: 'bbox'` (same convention as camera specs)
+ *
+ * Rigs are built in the page by src/viewer/lighting.js.
+ */
+const LIGHTING_PRESETS = ['studio', 'outdoor', 'dramatic', 'none'];
+const LIGHT_TYPES = ['ambient', 'directional', 'point', 'spot', 'hemisphere', 'area'];
+const SHADOW_TYPES = ['directional', 'point', 'spot'];
+const POSITIONED_TYPES = ['directional', 'point', 'spot', 'area'];
+const TARGETED_TYPES = ['directional', 'spot', 'area'];
+const SPACES = ['world', 'bbox'];
+const RIG_NAME_PATTERN = /^[\w-]{1,64}$/;
+
+const invalid = (message) => new AppError(`Invalid lighting: ${message}`, 400, 'INVALID_LIGHTING');
+
+const { toNumber, toVector, toColor } = createValidators(invalid);
+
+function normalizeShadow(shadow, name) {
+    if (shadow == null || shadow === true) {
+        shadow = {};
+    } else if (!isPlainObject(shadow)) {
+        throw invalid(`${name} must be an object`);
+    }
+
+    return {
+        mapSize: shadow.mapSize != null ? toNumber(shadow.mapSize, `${name}.mapSize`, { min: 128, max: 8192 }) : 2048,
+        bias: shadow.bias != null ? toNumber(shadow.bias, `${name}.bias`, { min: -1, max: 1 }) : -0.0005,
+        normalBias: shadow.normalBias != null ? toNumber(shadow.normalBias, `${name}.normalBias`, { min: 0, max: 1 }) : 0.02,
+        radius: shadow.radius != null ? toNumber(shadow.radius, `${name}.radius`, { min: 0, max: 25 }) : 1
+    };
+}
+
+function normalizeLight(light, index, defaultSpace) {
+    const name = `lights[${index}]`;
+    if (!isPlainObject(light)) {
+        throw invalid(`${name} must be an object`);
+    }
+    if (!LIGHT_TYPES.includes(light.type)) {
+        throw invalid(`${name}.type must be one of ${LIGHT_TYPES.join(', ')}`);
+    }
+
+    const space = light.space || defaultSpace;
+    if (!SPACES.includes(space)) {
+        throw invalid(`${name}.space must be one of ${SPACES.join(', ')}`);
+    }
+
+    const normalized = {
+        type: light.type,
+        name: typeof light.name === 'string' ? light.name : null,
+        space,
+        color: light.color != null ? toColor(light.color, `${name}.color`) : '#ffffff',
+        intensity: light.intensity != null ? toNumber(light.intensity, `${name}.intensity`, { min: 0 }) : 1
+    };
+
+    if (POSITIONED_TYPES.includes(light.type)) {
+        if (light.position == null) {
+            throw invalid(`${name}.position is required for ${light.type} lights`);
+        }
+        normalized.position = toVector(light.position, `${name}.position`);
+    }
+
+    if (TARGETED_TYPES.includes(light.type)) {
+        normalized.target = light.target != null ? toVector(light.target, `${name}.target`) : [0, 0, 0];
+    }
+
+    switch (light.type) {
+        case 'hemisphere':
+            normalized.groundColor = light.groundColor != null ? toColor(light.groundColor, `${name}.groundColor`) : '#444444';
+            break;
+        case 'point':
+        case 'spot':
+            normalized.distance = light.distance != null ? toNumber(light.distance, `${name}.distance`, { min: 0 }) : 0;
+            normalized.decay = light.decay != null ? toNumber(light.decay, `${name}.decay`, { min: 0 }) : 2;
+            if (light.type === 'spot') {
+                normalized.angle = light.angle != null ? toNumber(light.angle, `${name}.angle`, { min: 0, max: 90 }) : 30;
+                normalized.penumbra = light.penumbra != null ? toNumber(light.penumbra, `${name}.penumbra`, { min: 0, max: 1 }) : 0.2;
+            }
+            break;
+        case 'area':
+            normalized.width = light.width != null ? toNumber(light.width, `${name}.width`, { min: 0 }) : 1;
+            normalized.height = light.height != null ? toNumber(light.height, `${name}.height`, { min: 0 }) : 1;
+            break;
+    }
+
+    const castShadow = light.castShadow === true || (light.shadow != null && light.shadow !== false);
+    if (castShadow && !SHADOW_TYPES.includes(light.type)) {
+        throw invalid(`${name}: ${light.type} lights cannot cast shadows`);
+    }
+    normalized.castShadow = castShadow;
+    if (castShadow) {
+        normalized.shadow = normalizeShadow(light.shadow, `${name}.shadow`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Validate a rig definition ({ lights, space? })
+ * @returns {object} Normalized rig
+ */
+function normalizeLightingRig(rig) {
+    if (!isPlainObject(rig)) {
+        throw invalid('rig must be an object');
+    }
+    if (!Array.isArray(rig.lights) || rig.lights.length === 0) {
+        throw invalid('lights must be a non-empty array');
+    }
+    if (rig.lights.length > 16) {
+        throw invalid('a rig can have at most 16 lights');
+    }
+
+    const space = rig.space || 'world';
+    if (!SPACES.includes(space)) {
+        throw invalid(`space must be one of ${SPACES.join(', ')}`);
+    }
+
+    return {
+        lights: rig.lights.map((light, index) => normalizeLight(light, index, space))
+    };
+}
+
+function rigPath(name) {
+    return path.join(config.storage.lightingRigs, `${name}.json`);
+}
+
+function assertRigName(name) {
+    if (typeof name !== 'string' || !RIG_NAME_PATTERN.test(name)) {
+        throw new AppError('Invalid rig name: use letters, digits, "-" or "_" (max 64)', 400, 'INVALID_RIG_NAME');
+    }
+}
+
+/**
+ * Load a saved rig
+ * @returns {Promise<object|null>} Rig, or null when it does not exist
+ */
+async function getLightingRig(name) {
+    if (typeof name !== 'string' || !RIG_NAME_PATTERN.test(name)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(await fs.readFile(rigPath(name), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function listLightingRigs() {
+    let files;
+    try {
+        files = await fs.readdir(config.storage.lightingRigs);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const rigs = await Promise.all(
+        files.filter(file => file.endsWith('.json')).map(file => getLightingRig(path.basename(file, '.json')))
+    );
+    return rigs.filter(rig => rig !== null);
+}
+
+/**
+ * Create or replace a saved rig
+ */
+async function saveLightingRig(name, definition) {
+    assertRigName(name);
+    const existing = await getLightingRig(name);
+    const now = new Date().toISOString();
+
+    const rig = {
+        name,
+        description: typeof definition.description === 'string' ? definition.description : '',
+        ...normalizeLightingRig(definition),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+
+    await fs.mkdir(config.storage.lightingRigs, { recursive: true });
+    await fs.writeFile(rigPath(name), JSON.stringify(rig, null, 2));
+    return rig;
+}
+
+async function deleteLightingRig(name) {
+    if (!(await getLightingRig(name))) {
+        return false;
+    }
+    await fs.unlink(rigPath(name));
+    return true;
+}
+
+/**
+ * Resolve the `lighting` render option
+ * @param {string|object|undefined} lighting - Preset name, inline rig or saved rig reference
+ * @returns {Promise<string|object>} Preset name, or a normalized rig with its `name`
+ */
+async function resolveLighting(lighting) {
+    if (lighting == null) {
+        return 'studio';
+    }
+    if (typeof lighting === 'string') {
+        if (!LIGHTING_PRESETS.includes(lighting)) {
+            throw invalid(`preset must be one of ${LIGHTING_PRESETS.join(', ')}`);
+        }
+        return lighting;
+    }
+    if (!isPlainObject(lighting)) {
+        throw invalid('lighting must be a preset name or an object');
+    }
+
+    if (lighting.rig != null) {
+        const saved = await getLightingRig(lighting.rig);
+        if (!saved) {
+            throw new AppError(`Lighting rig not found: ${lighting.rig}`, 404, 'LIGHTING_RIG_NOT_FOUND');
+        }
+        return { name: saved.name, lights: saved.lights };
+    }
+
+    return { name: 'custom', ...normalizeLightingRig(lighting) };
+}
+
+module.exports = {
+    LIGHTING_PRESETS,
+    LIGHT_TYPES,
+    normalizeLightingRig,
+    getLightingRig,
+    listLightingRigs,
+    saveLightingRig,
+    deleteLightingRig,
+    resolveLighting
+};
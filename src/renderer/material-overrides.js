@@ -0,0 +1,106 @@
+const { AppError } = require('../middleware/errorHandler');
+const { readGltf, listNodeNames, sanitizeNodeName } = require('./gltf-info');
+const { textureLibrary } = require('./textures');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Runtime material overrides: recolor and retexture without re-exporting the model
+ * - Each override targets a `material` by name (every mesh using it) or a `node`
+ *   (the meshes of that node and its children, on copies of their materials)
+ * - Properties: `baseColor` and `emissive` (hex colors), `metalness` and `roughness`
+ *   (0-1), `map` (base color texture: an id from the texture library, /api/textures)
+ * - Overrides apply in order, so a node override can refine a material override
+ * - Targets are checked against the model file; a missing one fails the request
+ *
+ * Applied in the page by src/viewer/overrides.js.
+ */
+const OVERRIDE_PROPERTIES = ['baseColor', 'metalness', 'roughness', 'emissive', 'map'];
+const MAX_OVERRIDES = 100;
+
+const invalid = (message) => new AppError(`Invalid overrides: ${message}`, 400, 'INVALID_OVERRIDES');
+
+const { toNumber, toColor } = createValidators(invalid);
+
+async function normalizeOverride(override, index) {
+    const name = `overrides[${index}]`;
+    if (!isPlainObject(override)) {
+        throw invalid(`${name} must be an object`);
+    }
+
+    const hasMaterial = override.material != null;
+    if (hasMaterial === (override.node != null)) {
+        throw invalid(`${name} needs either material or node`);
+    }
+    const target = hasMaterial ? 'material' : 'node';
+    if (typeof override[target] !== 'string' || override[target] === '') {
+        throw invalid(`${name}.${target} must be a name`);
+    }
+
+    const unknown = Object.keys(override).filter(key => key !== target && !OVERRIDE_PROPERTIES.includes(key));
+    if (unknown.length > 0) {
+        throw invalid(`${name} has unknown properties: ${unknown.join(', ')}`);
+    }
+    if (!OVERRIDE_PROPERTIES.some(key => override[key] != null)) {
+        throw invalid(`${name} changes nothing (set ${OVERRIDE_PROPERTIES.join(', ')})`);
+    }
+
+    let map = null;
+    if (override.map != null) {
+        const texture = await textureLibrary.get(override.map);
+        if (!texture) {
+            throw new AppError(`Texture not found: ${override.map}`, 404, 'TEXTURE_NOT_FOUND');
+        }
+        map = { id: texture.id, url: texture.url };
+    }
+
+    return {
+        target,
+        name: override[target],
+        baseColor: override.baseColor != null ? toColor(override.baseColor, `${name}.baseColor`) : null,
+        metalness: override.metalness != null ? toNumber(override.metalness, `${name}.metalness`, { min: 0, max: 1 }) : null,
+        roughness: override.roughness != null ? toNumber(override.roughness, `${name}.roughness`, { min: 0, max: 1 }) : null,
+        emissive: override.emissive != null ? toColor(override.emissive, `${name}.emissive`) : null,
+        map
+    };
+}
+
+/**
+ * Validate the `overrides` render option against the model's materials and nodes
+ * @param {Array|undefined} overrides - [{ material | node, baseColor, metalness, roughness, emissive, map }]
+ * @param {string} modelPath - GLB/glTF file the render will load
+ * @returns {Promise<Array<object>|null>} [{ target, name, baseColor, metalness, roughness, emissive, map: { id, url } }]
+ */
+async function resolveOverrides(overrides, modelPath) {
+    if (overrides == null) {
+        return null;
+    }
+    if (!Array.isArray(overrides) || overrides.length === 0 || overrides.length > MAX_OVERRIDES) {
+        throw invalid(`overrides must be a list of 1 to ${MAX_OVERRIDES} overrides`);
+    }
+
+    const normalized = [];
+    for (let index = 0; index < overrides.length; index++) {
+        normalized.push(await normalizeOverride(overrides[index], index));
+    }
+
+    const gltf = await readGltf(modelPath);
+    const materialNames = new Set((gltf.materials || []).map(material => material.name).filter(Boolean));
+    const nodeNames = listNodeNames(gltf);
+
+    for (const override of normalized) {
+        if (override.target === 'material' && !materialNames.has(override.name)) {
+            const available = [...materialNames].join(', ') || 'none';
+            throw new AppError(`Material not found: ${override.name} (named materials: ${available})`, 404, 'MATERIAL_NOT_FOUND');
+        }
+        if (override.target === 'node' && !nodeNames.has(sanitizeNodeName(override.name))) {
+            throw new AppError(`Node not found: ${override.name}`, 404, 'NODE_NOT_FOUND');
+        }
+    }
+
+    return normalized;
+}
+
+module.exports = {
+    OVERRIDE_PROPERTIES,
+    resolveOverrides
+};
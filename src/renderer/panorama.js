@@ -0,0 +1,132 @@
+const { AppError } = require('../middleware/errorHandler');
+const { readGltf, listNodeNames, sanitizeNodeName } = require('./gltf-info');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * 360 capture from a point inside the scene (virtual tours, interiors)
+ * - `position` is [x, y, z] in `space`: `model` (the glTF file's own coordinates,
+ *   default), `world` (the viewer's coordinates) or `bbox` (as in camera specs);
+ *   `node` places the camera at a named node instead (e.g. an empty exported as "PanoPoint")
+ * - `faceSize` is the cube face resolution; the equirectangular panorama is
+ *   4 x faceSize wide and 2 x faceSize high
+ * - `heading` turns the panorama's center (degrees to the right of -Z)
+ * - `outputs`: `equirectangular` (2:1 image with GPano XMP metadata) and/or
+ *   `cubemap` (horizontal strip of the six faces in +X, -X, +Y, -Y, +Z, -Z order)
+ *
+ * Captured in the page by src/viewer/panorama.js.
+ */
+const PANORAMA_SPACES = ['model', 'world', 'bbox'];
+const PANORAMA_OUTPUTS = ['equirectangular', 'cubemap'];
+const CUBE_FACES = ['+x', '-x', '+y', '-y', '+z', '-z'];
+
+const PANORAMA_DEFAULTS = {
+    space: 'model',
+    faceSize: 2048,
+    heading: 0
+};
+
+// libwebp refuses images wider or taller than this
+const WEBP_MAX_SIZE = 16383;
+
+const invalid = (message) => new AppError(`Invalid panorama: ${message}`, 400, 'INVALID_PANORAMA');
+
+const { toNumber, toVector } = createValidators(invalid);
+
+/**
+ * Validate the `panorama` render option
+ * @param {object|undefined} panorama - { position | node, space, faceSize, heading, outputs }
+ * @returns {object|null} Normalized panorama, or null when not requested
+ */
+function normalizePanorama(panorama) {
+    if (panorama == null || panorama === false) {
+        return null;
+    }
+    if (!isPlainObject(panorama)) {
+        throw invalid('panorama must be an object');
+    }
+
+    const hasNode = panorama.node != null;
+    if (hasNode === (panorama.position != null)) {
+        throw invalid('give either position or node');
+    }
+    if (hasNode && (typeof panorama.node !== 'string' || panorama.node.trim() === '')) {
+        throw invalid('node must be a node name');
+    }
+
+    const space = panorama.space || PANORAMA_DEFAULTS.space;
+    if (!PANORAMA_SPACES.includes(space)) {
+        throw invalid(`space must be one of ${PANORAMA_SPACES.join(', ')}`);
+    }
+
+    const faceSize = panorama.faceSize != null
+        ? toNumber(panorama.faceSize, 'faceSize', { min: 256, max: 4096, integer: true, unit: 'pixels' })
+        : PANORAMA_DEFAULTS.faceSize;
+    const heading = panorama.heading != null
+        ? toNumber(panorama.heading, 'heading', { min: -360, max: 360, unit: 'degrees' })
+        : PANORAMA_DEFAULTS.heading;
+
+    let outputs = panorama.outputs != null ? panorama.outputs : PANORAMA_OUTPUTS;
+    if (typeof outputs === 'string') {
+        outputs = [outputs];
+    }
+    if (!Array.isArray(outputs) || outputs.length === 0 || outputs.some(output => !PANORAMA_OUTPUTS.includes(output))) {
+        throw invalid(`outputs must list ${PANORAMA_OUTPUTS.join(' and/or ')}`);
+    }
+
+    return {
+        position: hasNode ? null : toVector(panorama.position, 'position'),
+        node: hasNode ? panorama.node : null,
+        space,
+        faceSize,
+        heading,
+        outputs: PANORAMA_OUTPUTS.filter(output => outputs.includes(output))
+    };
+}
+
+/**
+ * Validate the `panorama` render option, checking its node against the model
+ * @param {object|undefined} panorama - { position | node, space, faceSize, heading, outputs }
+ * @param {string} modelPath - GLB/glTF file the render will load
+ * @returns {Promise<object|null>} Normalized panorama, or null when not requested
+ */
+async function resolvePanorama(panorama, modelPath) {
+    const normalized = normalizePanorama(panorama);
+    if (normalized && normalized.node) {
+        const nodeNames = listNodeNames(await readGltf(modelPath));
+        if (!nodeNames.has(sanitizeNodeName(normalized.node))) {
+            throw new AppError(`Node not found: ${normalized.node}`, 404, 'NODE_NOT_FOUND');
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Check that every panorama output can be encoded in the requested format,
+ * before any cube face is rendered
+ * @param {object|null} panorama - From normalizePanorama
+ * @param {string} format - Render format
+ * @param {object|null} stereo - From normalizeStereo; side-by-side doubles the width
+ */
+function checkPanoramaSize(panorama, format, stereo) {
+    if (!panorama || format !== 'webp') {
+        return;
+    }
+    const { faceSize, outputs } = panorama;
+    const widths = outputs.map(output => (output === 'cubemap'
+        ? 6 * faceSize
+        : 4 * faceSize * (stereo && stereo.mode === 'sbs' ? 2 : 1)));
+    const widest = Math.max(...widths);
+    if (widest > WEBP_MAX_SIZE) {
+        const largest = outputs.reduce((size, output, index) => Math.min(size, Math.floor(faceSize * WEBP_MAX_SIZE / widths[index])), faceSize);
+        throw invalid(`the ${widest}px wide output is over the WebP limit of ${WEBP_MAX_SIZE}px; use faceSize ${largest} or less, or png/jpg`);
+    }
+}
+
+module.exports = {
+    PANORAMA_SPACES,
+    PANORAMA_OUTPUTS,
+    CUBE_FACES,
+    normalizePanorama,
+    resolvePanorama,
+    checkPanoramaSize
+};
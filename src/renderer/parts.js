@@ -0,0 +1,127 @@
+const { AppError } = require('../middleware/errorHandler');
+const { readGltf, listNodeNames, sanitizeNodeName } = require('./gltf-info');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Part controls for renders of assemblies
+ * - `hide`: node names to hide, with everything under them
+ * - `isolate`: node names to keep; every mesh outside them is hidden
+ * - `explode`: push each mesh away from the model center by `factor` times its
+ *   distance from it (0 = assembled). A number or `{ factor }` is a still explosion;
+ *   `{ from, to, easing }` animates from one factor to the other over a video
+ * - Framing, turntables and the ground follow the visible parts only
+ *
+ * Applied in the page by src/viewer/parts.js, in the model's rest pose, so an
+ * exploded view cannot be combined with an animation clip.
+ */
+const EXPLODE_EASINGS = ['linear', 'eased'];
+const MAX_EXPLODE = 10;
+const MAX_NODES = 100;
+
+const invalid = (message) => new AppError(`Invalid parts: ${message}`, 400, 'INVALID_PARTS');
+
+const { toNumber } = createValidators(invalid);
+
+function toNames(value, name) {
+    if (value == null) {
+        return [];
+    }
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_NODES
+        || !value.every(item => typeof item === 'string' && item !== '')) {
+        throw invalid(`${name} must be a list of 1 to ${MAX_NODES} node names`);
+    }
+    return [...new Set(value)];
+}
+
+function toExplodeFactor(value, name) {
+    return toNumber(value, name, { min: 0, max: MAX_EXPLODE });
+}
+
+/**
+ * @param {number|object} explode - factor, { factor } or { from, to, easing }
+ * @returns {object|null} { from, to, easing } - from === to for a still explosion
+ */
+function normalizeExplode(explode) {
+    if (explode == null || explode === false) {
+        return null;
+    }
+    if (!isPlainObject(explode)) {
+        const factor = toExplodeFactor(explode, 'explode');
+        return { from: factor, to: factor, easing: 'linear' };
+    }
+
+    const unknown = Object.keys(explode).filter(key => !['factor', 'from', 'to', 'easing'].includes(key));
+    if (unknown.length > 0) {
+        throw invalid(`explode has unknown properties: ${unknown.join(', ')}`);
+    }
+    if (explode.factor != null) {
+        if (explode.from != null || explode.to != null) {
+            throw invalid('use either explode.factor or explode.from/to, not both');
+        }
+        const factor = toExplodeFactor(explode.factor, 'explode.factor');
+        return { from: factor, to: factor, easing: 'linear' };
+    }
+    if (explode.to == null) {
+        throw invalid('explode needs a factor, or from/to factors to animate');
+    }
+
+    const easing = explode.easing == null ? 'eased' : explode.easing;
+    if (!EXPLODE_EASINGS.includes(easing)) {
+        throw invalid(`explode.easing must be one of: ${EXPLODE_EASINGS.join(', ')}`);
+    }
+    return {
+        from: explode.from == null ? 0 : toExplodeFactor(explode.from, 'explode.from'),
+        to: toExplodeFactor(explode.to, 'explode.to'),
+        easing
+    };
+}
+
+/**
+ * Explosion factor at a point of an animated explode
+ * @param {object} explode - { from, to, easing } from resolveParts
+ * @param {number} t - 0 (first frame) to 1 (last frame)
+ */
+function explodeFactorAt(explode, t) {
+    // Smootherstep: starts and settles without a jolt
+    const eased = explode.easing === 'eased' ? t * t * t * (t * (t * 6 - 15) + 10) : t;
+    return explode.from + (explode.to - explode.from) * eased;
+}
+
+function isAnimatedExplode(parts) {
+    return !!(parts && parts.explode && parts.explode.from !== parts.explode.to);
+}
+
+/**
+ * Validate the `hide`, `isolate` and `explode` render options against the model's nodes
+ * @param {object} options - Render request body
+ * @param {string} modelPath - GLB/glTF file the render will load
+ * @returns {Promise<object|null>} { hide, isolate, explode: { from, to, easing } | null }, or null when unused
+ */
+async function resolveParts(options, modelPath) {
+    const hide = toNames(options.hide, 'hide');
+    const isolate = toNames(options.isolate, 'isolate');
+    const explode = normalizeExplode(options.explode);
+    if (hide.length === 0 && isolate.length === 0 && !explode) {
+        return null;
+    }
+    if (explode && (options.animation != null || (options.views || []).includes('animated'))) {
+        throw invalid('exploded views are built from the rest pose and cannot play an animation clip');
+    }
+
+    if (hide.length > 0 || isolate.length > 0) {
+        const nodeNames = listNodeNames(await readGltf(modelPath));
+        const missing = [...hide, ...isolate].find(name => !nodeNames.has(sanitizeNodeName(name)));
+        if (missing) {
+            throw new AppError(`Node not found: ${missing}`, 404, 'NODE_NOT_FOUND');
+        }
+    }
+
+    return { hide, isolate, explode };
+}
+
+module.exports = {
+    EXPLODE_EASINGS,
+    resolveParts,
+    explodeFactorAt,
+    isAnimatedExplode
+};
@@ -0,0 +1,53 @@
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Render passes for still images, all captured from the same camera per view
+ * - `beauty`: the regular screenshot
+ * - `depth`: 16-bit grayscale PNG; 0 is background, 1-65535 map linearly to the
+ *   camera-axis distance between the `near` and `far` reported with the artifact
+ * - `normal`: world-space normals as RGBA PNG (rgb = normal * 0.5 + 0.5, background transparent)
+ * - `mask`: flat-color segmentation PNG with a JSON file mapping each color to a node
+ *   (or material, with `maskBy: 'material'`) name
+ *
+ * Auxiliary passes are rendered in the page by src/viewer/passes.js.
+ */
+const PASS_TYPES = ['beauty', 'depth', 'normal', 'mask'];
+const MASK_MODES = ['node', 'material'];
+
+const invalid = (message) => new AppError(`Invalid passes: ${message}`, 400, 'INVALID_PASSES');
+
+/**
+ * Validate the `passes` and `maskBy` render options
+ * @returns {object} { passes, maskBy }
+ */
+function normalizePasses(passes, maskBy) {
+    if (passes == null) {
+        passes = ['beauty'];
+    } else if (typeof passes === 'string') {
+        passes = [passes];
+    }
+    if (!Array.isArray(passes) || passes.length === 0) {
+        throw invalid('passes must be a non-empty list');
+    }
+
+    const unknown = passes.filter(pass => !PASS_TYPES.includes(pass));
+    if (unknown.length > 0) {
+        throw invalid(`unknown pass ${unknown.join(', ')}; use ${PASS_TYPES.join(', ')}`);
+    }
+
+    const mode = maskBy || 'node';
+    if (!MASK_MODES.includes(mode)) {
+        throw invalid(`maskBy must be one of ${MASK_MODES.join(', ')}`);
+    }
+
+    return {
+        passes: PASS_TYPES.filter(pass => passes.includes(pass)),
+        maskBy: mode
+    };
+}
+
+module.exports = {
+    PASS_TYPES,
+    MASK_MODES,
+    normalizePasses
+};
@@ -3,7 +3,17 @@ const path = require('path');
 const fs = require('fs-extra');
 const sharp = require('sharp');
 const ffmpeg = require('ffmpeg-static');
-const { spawn } = require('child_process');
+const { encodePng } = require('../utils/png');
+const { createFrameEncoder } = require('../utils/ffmpeg-pipe');
+const { VIDEO_FORMATS, normalizeEncoding, ffmpegOutputArgs } = require('./encoding');
+const { normalizeTiling, planTiles } = require('./tiling');
+const { CUBE_FACES } = require('./panorama');
+const { MAX_SPRITE_SIZE } = require('./spin-set');
+const { buildContactSheet } = require('./contact-sheet');
+const { isAnimatedExplode, explodeFactorAt } = require('./parts');
+const { isClippingSweep } = require('./clipping');
+const { embedXmp, panoramaXmp } = require('../utils/xmp');
+const { AppError } = require('../middleware/errorHandler');
 
 class PuppeteerRenderer {
     constructor() {
@@ -32,6 +42,14 @@ class PuppeteerRenderer {
                 defaultViewport: null
             };
             
+            // GPU-less hosts render WebGL in software (SwiftShader) instead of desktop GL
+            if (process.env.PUPPETEER_WEBGL === 'swiftshader') {
+                launchOptions.args = launchOptions.args
+                    .filter(arg => !['--disable-software-rasterizer', '--use-gl=desktop', '--force-gpu-rasterization'].includes(arg))
+                    .concat(['--use-angle=swiftshader', '--enable-unsafe-swiftshader']);
+                console.log('🔧 Using SwiftShader software WebGL');
+            }
+            
             // Use system Chrome if environment variable is set
             console.log('🔍 Environment variables:');
             console.log('   PUPPETEER_EXECUTABLE_PATH:', process.env.PUPPETEER_EXECUTABLE_PATH);
@@ -93,14 +111,45 @@ class PuppeteerRenderer {
             
             // Set viewport based on quality preset
             const viewport = this.getViewportFromPreset(options.preset, options.width, options.height);
-            await page.setViewport(viewport);
+            const mode = this.getRenderMode(options);
+
+            // Large still images are rendered in tiles, in a tile-sized viewport
+            const tilePlan = mode === 'images'
+                ? planTiles(viewport.width, viewport.height, options.tiling || normalizeTiling())
+                : null;
+            if (tilePlan && (options.passes || ['beauty']).some(pass => pass !== 'beauty')) {
+                throw new AppError('Tiled renders support the beauty pass only', 400, 'INVALID_TILING');
+            }
+            if (options.stereo) {
+                this.checkStereo(options, mode);
+            }
+            if (options.clipping) {
+                this.checkClipping(options, mode);
+            }
+            if (options.dimensions && mode === 'panorama') {
+                throw new AppError('Invalid dimensions: overlays are drawn over regular views, not panoramas', 400, 'INVALID_DIMENSIONS');
+            }
+            if (options.composite && mode !== 'images') {
+                throw new AppError('Invalid composite: contact sheets are built from still image renders', 400, 'INVALID_COMPOSITE');
+            }
+            if (mode === 'panorama') {
+                // Panoramas are drawn one cube-face-sized square at a time
+                const { faceSize } = options.panorama;
+                await page.setViewport({ width: faceSize, height: faceSize });
+            } else {
+                await page.setViewport(tilePlan ? { width: tilePlan.tileWidth, height: tilePlan.tileHeight } : viewport);
+            }
 
             // Navigate to GLB viewer
             const viewerUrl = `http://localhost:3000/viewer/glb-viewer.html`;
             await page.goto(viewerUrl, { waitUntil: 'networkidle0' });
 
-            // Wait for Three.js to load
-            await page.waitForFunction('window.THREE && window.GLTFLoader');
+            // Wait for the vendored Three.js bundle and viewer to start
+            await page.waitForFunction('window.viewerReady === true || !!window.viewerError');
+            const viewerError = await page.evaluate(() => window.viewerError);
+            if (viewerError) {
+                throw new Error(`Viewer failed to start: ${viewerError}`);
+            }
             console.log('✅ Three.js loaded');
 
             // Load GLB model
@@ -113,26 +162,52 @@ class PuppeteerRenderer {
             await page.waitForFunction('window.modelLoaded === true', { timeout: 30000 });
             console.log('✅ GLB model loaded');
 
+            // Recolor/retexture before anything else touches the materials
+            if (options.overrides) {
+                await page.evaluate((overrides) => {
+                    return window.applyOverrides(overrides);
+                }, options.overrides);
+                console.log(`✅ Material overrides applied: ${options.overrides.length}`);
+            }
+
+            // Hidden/isolated nodes and exploded views, before framing and the ground are set up
+            if (options.parts) {
+                await page.evaluate((parts) => {
+                    return window.setParts(parts);
+                }, options.parts);
+                console.log('✅ Parts applied');
+            }
+
             // Apply rendering settings
-            await page.evaluate((options) => {
-                window.applyRenderSettings(options);
+            const metadata = await page.evaluate((options) => {
+                return window.applyRenderSettings(options);
             }, options);
 
+            // Image-based lighting from the environment library
+            if (options.environment) {
+                await page.evaluate((environment, transparent) => {
+                    return window.loadEnvironment(environment, transparent);
+                }, options.environment, options.transparent);
+                console.log(`✅ Environment applied: ${options.environment.id}`);
+            }
+
             console.log('✅ Render settings applied');
 
-            // Handle different rendering modes
-            if (options.format === 'mp4' || options.turntable) {
-                // Video rendering
-                const videoResult = await this.renderVideo(page, fileName, options);
-                results.push(videoResult);
-            } else if (options.format === 'gif' || options.views.includes('animated')) {
-                // GIF rendering
-                const gifResult = await this.renderGIF(page, fileName, options);
-                results.push(gifResult);
+            // Material variants: every output once per variant, labeled with its name
+            if (options.variants) {
+                metadata.variants = [];
+                for (const variant of options.variants) {
+                    const { shading } = await page.evaluate((name) => {
+                        return window.setVariant(name);
+                    }, variant.name);
+                    metadata.variants.push({ name: variant.name, index: variant.index, shading });
+
+                    const variantFileName = `${path.parse(fileName).name}_${variant.slug}${path.extname(fileName)}`;
+                    const variantResults = await this.renderMode(page, variantFileName, mode, { ...options, tilePlan });
+                    results.push(...variantResults.map(result => ({ ...result, variant: variant.name })));
+                }
             } else {
-                // Static image rendering
-                const imageResults = await this.renderImages(page, fileName, options);
-                results.push(...imageResults);
+                results.push(...await this.renderMode(page, fileName, mode, { ...options, tilePlan }));
             }
 
             const duration = Date.now() - startTime;
@@ -142,7 +217,8 @@ class PuppeteerRenderer {
                 success: true,
                 results,
                 duration,
-                options
+                options,
+                metadata
             };
 
         } catch (error) {
@@ -155,48 +231,105 @@ class PuppeteerRenderer {
         }
     }
 
+    // Render the outputs of one render mode (see getRenderMode) for the current scene
+    async renderMode(page, fileName, mode, options) {
+        if (mode === 'panorama') {
+            // Equirectangular panorama and/or cubemap strip from a point in the scene
+            return this.renderPanorama(page, fileName, options);
+        }
+        if (mode === 'spin-set') {
+            // 360 spin set: frames, sprite sheet and manifest
+            return this.renderSpinSet(page, fileName, options);
+        }
+        if (mode === 'gif') {
+            return [await this.renderGIF(page, fileName, options)];
+        }
+        if (mode === 'video') {
+            // MP4, WebM, APNG or animated WebP
+            return [await this.renderVideo(page, fileName, options)];
+        }
+
+        // Static image rendering
+        const imageResults = await this.renderImages(page, fileName, options);
+
+        // All views on one sheet, next to the separate files
+        if (options.composite) {
+            imageResults.push(await this.renderContactSheet(fileName, imageResults, options));
+        }
+        return imageResults;
+    }
+
+    // 'panorama', 'spin-set', 'gif', 'video' or 'images'
+    // WebP is a still format unless something moves; the other video formats always animate
+    getRenderMode(options) {
+        if (options.panorama) {
+            return 'panorama';
+        }
+        if (options.spinSet) {
+            return 'spin-set';
+        }
+        const motion = options.turntable || !!options.cameraPath || options.views.includes('animated')
+            || isAnimatedExplode(options.parts) || isClippingSweep(options.clipping);
+        if (options.format === 'gif' || (options.views.includes('animated') && !VIDEO_FORMATS.includes(options.format))) {
+            return 'gif';
+        }
+        if (motion || (VIDEO_FORMATS.includes(options.format) && options.format !== 'webp')) {
+            return 'video';
+        }
+        return 'images';
+    }
+
+    // Stereo pairs exist for beauty images, animations and equirectangular panoramas
+    checkStereo(options, mode) {
+        let reason = null;
+        if (mode === 'spin-set') {
+            reason = 'spin sets cannot be rendered in stereo';
+        } else if (mode === 'images' && (options.passes || ['beauty']).some(pass => pass !== 'beauty')) {
+            reason = 'stereo renders support the beauty pass only';
+        } else if (mode === 'panorama' && options.panorama.outputs.includes('cubemap')) {
+            reason = 'stereo panoramas are equirectangular only (outputs: ["equirectangular"])';
+        }
+        if (reason) {
+            throw new AppError(`Invalid stereo: ${reason}`, 400, 'INVALID_STEREO');
+        }
+    }
+
+    // Caps need the page's stencil buffer, which off-screen targets (effects, panoramas) do not have;
+    // SSAO and outlines are worked out from the whole model
+    checkClipping(options, mode) {
+        const effects = options.effects || {};
+        let reason = null;
+        if (effects.ssao || effects.outline) {
+            reason = 'section planes cannot be combined with ssao or outline effects';
+        } else if (options.clipping.some(plane => plane.cap) && (mode === 'panorama' || options.effects)) {
+            reason = 'caps are not drawn in panoramas or with post-processing effects';
+        }
+        if (reason) {
+            throw new AppError(`Invalid clipping: ${reason}`, 400, 'INVALID_CLIPPING');
+        }
+    }
+
     async renderImages(page, fileName, options) {
         const results = [];
-        const views = this.expandViews(options.views);
+        // An explicit camera spec replaces the named view presets
+        const views = options.camera ? ['custom'] : this.expandViews(options.views);
+        const passes = options.passes || ['beauty'];
         
-        console.log(`📸 Rendering ${views.length} views...`);
+        console.log(`📸 Rendering ${views.length} views (${passes.join(', ')})...`);
 
         for (const view of views) {
             try {
-                // Set camera position for this view
-                await page.evaluate((view) => {
-                    window.setCameraView(view);
-                }, view);
+                // Set camera position for this view; resolves once a frame is drawn from it
+                await this.applyView(page, view, options.camera);
 
-                // Wait for camera transition
-                await page.waitForTimeout(500);
-
-                // Take screenshot
-                const screenshotOptions = {
-                    type: options.format === 'jpg' ? 'jpeg' : 'png',
-                    quality: options.format === 'jpg' ? options.quality : undefined,
-                    omitBackground: options.transparent
-                };
-
-                const screenshot = await page.screenshot(screenshotOptions);
-
-                // Process with Sharp if needed
-                let processedImage = screenshot;
-                if (options.postProcessing) {
-                    processedImage = await this.postProcessImage(screenshot, options);
+                if (passes.includes('beauty')) {
+                    results.push(await this.captureBeauty(page, fileName, view, options));
                 }
 
-                // Save to storage
-                const outputFileName = `${path.parse(fileName).name}_${view}.${options.format}`;
-                const outputPath = path.join(__dirname, '../../storage/renders', outputFileName);
-                await fs.writeFile(outputPath, processedImage);
-
-                results.push({
-                    view,
-                    fileName: outputFileName,
-                    path: outputPath,
-                    size: processedImage.length
-                });
+                // Auxiliary passes, rendered from the same camera as the beauty image
+                for (const pass of passes.filter(pass => pass !== 'beauty')) {
+                    results.push(...await this.capturePass(page, fileName, view, pass, options));
+                }
 
                 console.log(`✅ Rendered view: ${view}`);
 
@@ -208,52 +341,200 @@ class PuppeteerRenderer {
         return results;
     }
 
-    async renderVideo(page, fileName, options) {
-        console.log('🎬 Starting video rendering...');
+    // Beauty images of every rendered view on one sheet (see src/renderer/contact-sheet.js)
+    async renderContactSheet(fileName, imageResults, options) {
+        const beauty = imageResults.filter(result => result.pass === 'beauty');
+        const cells = await Promise.all(beauty.map(async (result) => ({
+            image: await fs.readFile(result.path),
+            label: result.view
+        })));
+
+        const modelName = path.parse(fileName).name;
+        const sheet = await buildContactSheet(cells, options.composite, modelName);
+        const image = await this.encodeStill(sheet.image, options.format, options);
+
+        const outputFileName = `${modelName}_sheet.${options.format}`;
+        const outputPath = path.join(__dirname, '../../storage/renders', outputFileName);
+        await fs.writeFile(outputPath, image);
+        console.log(`🗂️ Contact sheet: ${beauty.length} views in ${sheet.columns} x ${sheet.rows}`);
+
+        return {
+            type: 'contact-sheet',
+            views: beauty.map(result => result.view),
+            fileName: outputFileName,
+            path: outputPath,
+            size: image.length,
+            width: sheet.width,
+            height: sheet.height,
+            columns: sheet.columns,
+            rows: sheet.rows
+        };
+    }
 
-        const frameDir = path.join(__dirname, '../../storage/temp', `frames_${Date.now()}`);
-        await fs.ensureDir(frameDir);
+    // Named view preset, or the explicit camera spec when one is given
+    async applyView(page, view, camera) {
+        await page.evaluate((view, camera) => {
+            return camera ? window.setCameraSpec(camera) : window.setCameraView(view);
+        }, view, camera);
+    }
 
-        try {
-            const totalFrames = options.duration * options.fps;
-            const angleStep = 360 / totalFrames;
+    async captureBeauty(page, fileName, view, options) {
+        // Take screenshot
+        const screenshotOptions = {
+            type: options.format === 'jpg' ? 'jpeg' : 'png',
+            quality: options.format === 'jpg' ? options.quality : undefined,
+            omitBackground: options.transparent
+        };
 
-            console.log(`📹 Capturing ${totalFrames} frames...`);
+        let screenshot;
+        if (options.stereo) {
+            // Both eyes losslessly, encoded once packed
+            const png = await this.captureStereo(page, options.stereo, () => options.tilePlan
+                ? this.captureTiles(page, options.tilePlan, { type: 'png', omitBackground: options.transparent })
+                : page.screenshot({ type: 'png', omitBackground: options.transparent }));
+            screenshot = await this.encodeStill(png, options.format, options);
+        } else {
+            screenshot = options.tilePlan
+                ? await this.captureTiles(page, options.tilePlan, screenshotOptions)
+                : await page.screenshot(screenshotOptions);
+        }
 
-            // Capture frames
-            for (let frame = 0; frame < totalFrames; frame++) {
-                const angle = frame * angleStep;
-                
-                // Rotate camera
-                await page.evaluate((angle) => {
-                    window.rotateCameraToAngle(angle);
-                }, angle);
+        // Process with Sharp if needed
+        let processedImage = screenshot;
+        if (options.postProcessing) {
+            processedImage = await this.postProcessImage(screenshot, options);
+        }
 
-                await page.waitForTimeout(50); // Small delay for smooth rotation
+        // Save to storage
+        const stereoSuffix = options.stereo ? `_${options.stereo.mode}` : '';
+        const outputFileName = `${path.parse(fileName).name}_${view}${stereoSuffix}.${options.format}`;
+        const outputPath = path.join(__dirname, '../../storage/renders', outputFileName);
+        await fs.writeFile(outputPath, processedImage);
+
+        const result = {
+            view,
+            pass: 'beauty',
+            fileName: outputFileName,
+            path: outputPath,
+            size: processedImage.length
+        };
+        if (options.stereo) {
+            result.stereo = options.stereo;
+        }
+        return result;
+    }
 
-                // Capture frame
-                const screenshot = await page.screenshot({
-                    type: 'png',
-                    omitBackground: options.transparent
-                });
+    // Render every tile of a plan from src/renderer/tiling.js and stitch them into one image
+    async captureTiles(page, plan, screenshotOptions) {
+        console.log(`🧩 Rendering ${plan.width}x${plan.height} in ${plan.tiles.length} tiles of ${plan.tileWidth}x${plan.tileHeight}`);
 
-                const framePath = path.join(frameDir, `frame_${frame.toString().padStart(6, '0')}.png`);
-                await fs.writeFile(framePath, screenshot);
+        const layers = [];
+        try {
+            for (const tile of plan.tiles) {
+                await page.evaluate((tile) => {
+                    return window.setViewTile(tile);
+                }, {
+                    fullWidth: plan.width,
+                    fullHeight: plan.height,
+                    x: tile.x,
+                    y: tile.y,
+                    width: plan.tileWidth,
+                    height: plan.tileHeight
+                });
 
-                // Progress logging
-                if (frame % Math.floor(totalFrames / 10) === 0) {
-                    console.log(`📹 Progress: ${Math.round((frame / totalFrames) * 100)}%`);
+                // Always lossless per tile; the stitched image is encoded once
+                let input = await page.screenshot({ type: 'png', omitBackground: screenshotOptions.omitBackground });
+                if (tile.width < plan.tileWidth || tile.height < plan.tileHeight) {
+                    // Edge tiles render past the image border; keep the part inside it
+                    input = await sharp(input).extract({ left: 0, top: 0, width: tile.width, height: tile.height }).toBuffer();
                 }
+                layers.push({ input, left: tile.x, top: tile.y });
             }
+        } finally {
+            await page.evaluate(() => window.setViewTile(null));
+        }
 
-            // Convert frames to video using FFmpeg
-            const outputFileName = `${path.parse(fileName).name}_turntable.mp4`;
-            const outputPath = path.join(__dirname, '../../storage/renders', outputFileName);
+        const image = sharp({
+            create: {
+                width: plan.width,
+                height: plan.height,
+                channels: 4,
+                background: { r: 0, g: 0, b: 0, alpha: 0 }
+            },
+            limitInputPixels: false
+        }).composite(layers);
+
+        return screenshotOptions.type === 'jpeg'
+            ? image.flatten({ background: '#ffffff' }).jpeg({ quality: screenshotOptions.quality }).toBuffer()
+            : image.png().toBuffer();
+    }
 
-            await this.convertFramesToVideo(frameDir, outputPath, options.fps);
+    // Depth, normal or mask pass as a PNG; masks also get a JSON color -> name map
+    async capturePass(page, fileName, view, pass, options) {
+        const capture = await page.evaluate((pass, maskBy) => {
+            return window.capturePass(pass, maskBy);
+        }, pass, options.maskBy);
+
+        const { data, labels, ...info } = capture;
+        const png = encodePng(Buffer.from(data, 'base64'), info);
+        const baseName = `${path.parse(fileName).name}_${view}_${pass}`;
+        const outputPath = path.join(__dirname, '../../storage/renders', `${baseName}.png`);
+        await fs.writeFile(outputPath, png);
+
+        const result = {
+            ...info,
+            view,
+            fileName: `${baseName}.png`,
+            path: outputPath,
+            size: png.length
+        };
+        const results = [result];
+
+        if (pass === 'mask') {
+            const labelsFileName = `${baseName}.json`;
+            const labelsPath = path.join(__dirname, '../../storage/renders', labelsFileName);
+            const mapping = { maskBy: options.maskBy || 'node', background: '#000000', colors: labels };
+            await fs.writeJson(labelsPath, mapping, { spaces: 2 });
+
+            result.labels = labels;
+            results.push({
+                view,
+                pass: 'mask-labels',
+                fileName: labelsFileName,
+                path: labelsPath,
+                size: (await fs.stat(labelsPath)).size
+            });
+        }
 
-            // Cleanup frames
-            await fs.remove(frameDir);
+        return results;
+    }
+
+    async renderVideo(page, fileName, options) {
+        console.log('🎬 Starting video rendering...');
+
+        // Motion jobs in a still format (e.g. a PNG turntable) are encoded as MP4
+        const encoding = options.encoding || normalizeEncoding(options.format);
+        const alpha = !!options.transparent && encoding.format !== 'mp4';
+
+        const { motion } = this.getMotion(options);
+        const suffix = motion === 'turntable' ? 'turntable'
+            : motion === 'camera-path' ? 'flythrough'
+                : motion === 'explode' ? 'exploded'
+                    : motion === 'clipping' ? 'section' : 'animation';
+        const stereoSuffix = options.stereo ? `_${options.stereo.mode}` : '';
+        const outputFileName = `${path.parse(fileName).name}_${suffix}${stereoSuffix}.${encoding.format}`;
+        const outputPath = path.join(__dirname, '../../storage/renders', outputFileName);
+
+        // Frames are piped straight into FFmpeg as they are captured
+        const encoder = createFrameEncoder(ffmpeg, {
+            fps: options.fps,
+            outputArgs: ffmpegOutputArgs(encoding, alpha),
+            outputPath
+        });
+
+        try {
+            const capture = await this.captureFrames(page, encoder, options, options.transparent);
+            await encoder.finish();
 
             const stats = await fs.stat(outputPath);
 
@@ -261,17 +542,20 @@ class PuppeteerRenderer {
 
             return {
                 type: 'video',
+                format: encoding.format,
+                alpha,
                 fileName: outputFileName,
                 path: outputPath,
                 size: stats.size,
                 duration: options.duration,
                 fps: options.fps,
-                frames: totalFrames
+                encoding,
+                ...capture
             };
 
         } catch (error) {
-            // Cleanup on error
-            await fs.remove(frameDir).catch(() => {});
+            // Stop FFmpeg and drop the partial video
+            await encoder.abort();
             throw error;
         }
     }
@@ -286,39 +570,20 @@ class PuppeteerRenderer {
             fps: Math.min(options.fps, 15) // Max 15 FPS for GIF
         };
 
-        const frameDir = path.join(__dirname, '../../storage/temp', `gif_frames_${Date.now()}`);
-        await fs.ensureDir(frameDir);
+        const stereoSuffix = options.stereo ? `_${options.stereo.mode}` : '';
+        const outputFileName = `${path.parse(fileName).name}_animated${stereoSuffix}.gif`;
+        const outputPath = path.join(__dirname, '../../storage/renders', outputFileName);
 
-        try {
-            const totalFrames = gifOptions.duration * gifOptions.fps;
-            const angleStep = 360 / totalFrames;
-
-            // Capture frames
-            for (let frame = 0; frame < totalFrames; frame++) {
-                const angle = frame * angleStep;
-                
-                await page.evaluate((angle) => {
-                    window.rotateCameraToAngle(angle);
-                }, angle);
-
-                await page.waitForTimeout(100);
-
-                const screenshot = await page.screenshot({
-                    type: 'png',
-                    omitBackground: false // GIF doesn't support transparency well
-                });
-
-                const framePath = path.join(frameDir, `frame_${frame.toString().padStart(4, '0')}.png`);
-                await fs.writeFile(framePath, screenshot);
-            }
-
-            // Convert to GIF using FFmpeg
-            const outputFileName = `${path.parse(fileName).name}_animated.gif`;
-            const outputPath = path.join(__dirname, '../../storage/renders', outputFileName);
-
-            await this.convertFramesToGIF(frameDir, outputPath, gifOptions);
+        const encoder = createFrameEncoder(ffmpeg, {
+            fps: gifOptions.fps,
+            outputArgs: ffmpegOutputArgs({ format: 'gif' }),
+            outputPath
+        });
 
-            await fs.remove(frameDir);
+        try {
+            // GIF doesn't support transparency well
+            const capture = await this.captureFrames(page, encoder, gifOptions, false);
+            await encoder.finish();
 
             const stats = await fs.stat(outputPath);
 
@@ -331,15 +596,414 @@ class PuppeteerRenderer {
                 size: stats.size,
                 duration: gifOptions.duration,
                 fps: gifOptions.fps,
-                frames: totalFrames
+                ...capture
             };
 
         } catch (error) {
-            await fs.remove(frameDir).catch(() => {});
+            await encoder.abort();
             throw error;
         }
     }
 
+    /**
+     * Spin set for 360 product viewers (see src/renderer/spin-set.js)
+     * Writes <name>_spin_<row>_<frame>.<ext> for every elevation row and angle,
+     * a sprite sheet with one row per elevation, and a JSON manifest of both.
+     * A sprite frame is at most spriteFrameWidth wide and the sheet at most MAX_SPRITE_SIZE (16383px).
+     */
+    async renderSpinSet(page, fileName, options) {
+        const { angles, elevations, spriteFrameWidth } = options.spinSet;
+        const baseName = `${path.parse(fileName).name}_spin`;
+        const rendersDir = path.join(__dirname, '../../storage/renders');
+        const extension = ['jpg', 'webp'].includes(options.format) ? options.format : 'png';
+
+        console.log(`🔄 Rendering spin set: ${elevations.length} x ${angles.length} frames`);
+
+        // One camera distance for every row, and a fixed animation pose for every frame
+        await page.evaluate((elevations) => {
+            window.setTurntableElevations(elevations);
+        }, elevations);
+        const time = options.animation ? options.animation.time || 0 : null;
+
+        const results = [];
+        const frames = [];
+        const layers = [];
+        let frameSize = null;
+        let spriteFrame = null;
+        for (let row = 0; row < elevations.length; row++) {
+            for (let column = 0; column < angles.length; column++) {
+                await page.evaluate((frame) => {
+                    return window.setFrame(frame);
+                }, { angle: angles[column], elevation: elevations[row], time, pathTime: null });
+
+                const screenshot = await page.screenshot({
+                    type: 'png',
+                    omitBackground: options.transparent
+                });
+                const image = await this.encodeStill(screenshot, extension, options);
+
+                const frameFileName = `${baseName}_${row}_${column.toString().padStart(3, '0')}.${extension}`;
+                const framePath = path.join(rendersDir, frameFileName);
+                await fs.writeFile(framePath, image);
+
+                if (!frameSize) {
+                    const { width, height } = await sharp(screenshot).metadata();
+                    frameSize = { width, height };
+                    const spriteWidth = Math.min(spriteFrameWidth, width);
+                    spriteFrame = {
+                        width: spriteWidth,
+                        height: Math.min(Math.round((height * spriteWidth) / width), Math.floor(MAX_SPRITE_SIZE / elevations.length))
+                    };
+                }
+
+                // Only the downscaled sprite cell is kept in memory
+                layers.push({
+                    input: await sharp(screenshot).resize(spriteFrame.width, spriteFrame.height, { fit: 'fill' }).toBuffer(),
+                    left: column * spriteFrame.width,
+                    top: row * spriteFrame.height
+                });
+                frames.push({ index: frames.length, row, column, angle: angles[column], elevation: elevations[row], file: frameFileName });
+                results.push({
+                    type: 'spin-frame',
+                    fileName: frameFileName,
+                    path: framePath,
+                    size: image.length,
+                    angle: angles[column],
+                    elevation: elevations[row]
+                });
+            }
+        }
+
+        // Sprite sheet: one row per elevation, angles left to right
+        const frameWidth = spriteFrame.width;
+        const frameHeight = spriteFrame.height;
+        const sprite = sharp({
+            create: {
+                width: frameWidth * angles.length,
+                height: frameHeight * elevations.length,
+                channels: 4,
+                background: { r: 0, g: 0, b: 0, alpha: 0 }
+            }
+        }).composite(layers);
+        const spriteImage = await this.encodeStill(await sprite.png().toBuffer(), extension, options);
+        const spriteFileName = `${baseName}_sprite.${extension}`;
+        await fs.writeFile(path.join(rendersDir, spriteFileName), spriteImage);
+
+        const manifest = {
+            version: 1,
+            model: fileName,
+            frameCount: frames.length,
+            frameSize,
+            angleConvention: 'degrees around the vertical axis; 0 = front, 90 = camera on the +X side',
+            rows: elevations.map((elevation, row) => ({ row, elevation, angles })),
+            sprite: {
+                file: spriteFileName,
+                width: frameWidth * angles.length,
+                height: frameHeight * elevations.length,
+                frameWidth,
+                frameHeight,
+                columns: angles.length,
+                rows: elevations.length
+            },
+            // Row-major: elevation rows top to bottom, angles left to right
+            frames: frames.map(frame => ({
+                ...frame,
+                sprite: { x: frame.column * frameWidth, y: frame.row * frameHeight }
+            }))
+        };
+        const manifestFileName = `${baseName}.json`;
+        const manifestPath = path.join(rendersDir, manifestFileName);
+        await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+
+        results.push({
+            type: 'spin-sprite',
+            fileName: spriteFileName,
+            path: path.join(rendersDir, spriteFileName),
+            size: spriteImage.length,
+            columns: angles.length,
+            rows: elevations.length
+        }, {
+            type: 'spin-manifest',
+            fileName: manifestFileName,
+            path: manifestPath,
+            size: (await fs.stat(manifestPath)).size
+        });
+
+        console.log(`✅ Spin set completed: ${frames.length} frames`);
+        return results;
+    }
+
+    /**
+     * 360 capture (see src/renderer/panorama.js)
+     * The page renders a cube map once, then draws each output one faceSize square
+     * at a time: the panorama as a 4 x 2 grid, the cubemap strip face by face.
+     * Stereo panoramas draw the grid once per eye and pack the two images.
+     */
+    async renderPanorama(page, fileName, options) {
+        const spec = options.panorama;
+        const size = spec.faceSize;
+        const baseName = `${path.parse(fileName).name}_panorama`;
+        const rendersDir = path.join(__dirname, '../../storage/renders');
+        const extension = ['jpg', 'webp'].includes(options.format) ? options.format : 'png';
+
+        // Still pose for animated models
+        if (options.animation) {
+            await page.evaluate((time) => {
+                return window.setFrame({ angle: null, time, pathTime: null });
+            }, options.animation.time || 0);
+        }
+
+        const position = await page.evaluate((spec) => {
+            return window.preparePanorama(spec);
+        }, spec);
+        console.log(`🌐 Rendering panorama (${spec.outputs.join(', ')}) with ${size}px faces`);
+
+        const results = [];
+        try {
+            if (spec.outputs.includes('equirectangular')) {
+                const stereo = options.stereo;
+                let png;
+                if (stereo) {
+                    const eyes = [];
+                    for (const side of ['left', 'right']) {
+                        await page.evaluate((spec, eye) => {
+                            return window.preparePanorama(spec, eye);
+                        }, spec, { side, ipd: stereo.ipd });
+                        eyes.push(await this.captureEquirectangular(page, size, options.transparent));
+                    }
+                    png = await this.packStereo(eyes, stereo.mode);
+                } else {
+                    png = await this.captureEquirectangular(page, size, options.transparent);
+                }
+
+                let image = await this.encodeStill(png, extension, options);
+                if (!stereo && extension !== 'webp') {
+                    // Lets photo sphere viewers open it as an interactive 360 image
+                    image = embedXmp(image, panoramaXmp(size * 4, size * 2));
+                }
+                const outputFileName = `${baseName}_equirect${stereo ? `_${stereo.mode}` : ''}.${extension}`;
+                const outputPath = path.join(rendersDir, outputFileName);
+                await fs.writeFile(outputPath, image);
+
+                results.push({
+                    type: 'panorama',
+                    projection: 'equirectangular',
+                    fileName: outputFileName,
+                    path: outputPath,
+                    size: image.length,
+                    width: size * 4 * (stereo && stereo.mode === 'sbs' ? 2 : 1),
+                    height: size * 2 * (stereo && stereo.mode === 'tb' ? 2 : 1),
+                    heading: spec.heading,
+                    stereo,
+                    position
+                });
+            }
+
+            if (spec.outputs.includes('cubemap')) {
+                const layers = [];
+                for (let index = 0; index < CUBE_FACES.length; index++) {
+                    await page.evaluate((view) => {
+                        return window.drawPanorama(view);
+                    }, { projection: 'cube', face: CUBE_FACES[index] });
+                    const input = await page.screenshot({ type: 'png', omitBackground: options.transparent });
+                    layers.push({ input, left: index * size, top: 0 });
+                }
+
+                const image = await this.encodeStill(await this.stitch(layers, size * 6, size), extension, options);
+                const outputFileName = `${baseName}_cubemap.${extension}`;
+                const outputPath = path.join(rendersDir, outputFileName);
+                await fs.writeFile(outputPath, image);
+
+                results.push({
+                    type: 'cubemap',
+                    layout: 'strip',
+                    faces: CUBE_FACES,
+                    fileName: outputFileName,
+                    path: outputPath,
+                    size: image.length,
+                    faceSize: size,
+                    width: size * 6,
+                    height: size,
+                    position
+                });
+            }
+        } finally {
+            await page.evaluate(() => window.endPanorama());
+        }
+
+        console.log('✅ Panorama completed');
+        return results;
+    }
+
+    // The drawn panorama as one 4 x 2 grid of faceSize squares
+    async captureEquirectangular(page, size, transparent) {
+        const layers = [];
+        for (let row = 0; row < 2; row++) {
+            for (let column = 0; column < 4; column++) {
+                await page.evaluate((view) => {
+                    return window.drawPanorama(view);
+                }, { projection: 'equirectangular', region: [column / 4, row / 2, 1 / 4, 1 / 2] });
+                const input = await page.screenshot({ type: 'png', omitBackground: transparent });
+                layers.push({ input, left: column * size, top: row * size });
+            }
+        }
+        return this.stitch(layers, size * 4, size * 2);
+    }
+
+    /**
+     * Capture both eyes of a stereo pair (see src/renderer/stereo.js) from the current pose
+     * @param {Function} capture - Returns a PNG of whatever the page shows
+     * @returns {Promise<Buffer>} PNG with both eyes packed per `stereo.mode`
+     */
+    async captureStereo(page, stereo, capture) {
+        const eyes = [];
+        try {
+            for (const side of ['left', 'right']) {
+                await page.evaluate((eye) => {
+                    return window.setStereoEye(eye);
+                }, { side, ipd: stereo.ipd, convergence: stereo.convergence });
+                eyes.push(await capture());
+            }
+        } finally {
+            await page.evaluate(() => window.setStereoEye(null));
+        }
+        return this.packStereo(eyes, stereo.mode);
+    }
+
+    // Left | right (sbs) or left above right (tb)
+    async packStereo([left, right], mode) {
+        const { width, height } = await sharp(left).metadata();
+        return this.stitch([
+            { input: left, left: 0, top: 0 },
+            { input: right, left: mode === 'sbs' ? width : 0, top: mode === 'tb' ? height : 0 }
+        ], mode === 'sbs' ? width * 2 : width, mode === 'tb' ? height * 2 : height);
+    }
+
+    // Composite same-sized screenshots into one PNG of width x height
+    async stitch(layers, width, height) {
+        return sharp({
+            create: {
+                width,
+                height,
+                channels: 4,
+                background: { r: 0, g: 0, b: 0, alpha: 0 }
+            },
+            limitInputPixels: false
+        }).composite(layers).png().toBuffer();
+    }
+
+    // Encode a PNG screenshot as png, jpg or webp
+    async encodeStill(png, extension, options) {
+        if (extension === 'jpg') {
+            return sharp(png).flatten({ background: options.background || '#ffffff' }).jpeg({ quality: options.quality }).toBuffer();
+        }
+        if (extension === 'webp') {
+            return sharp(png).webp({ quality: options.quality }).toBuffer();
+        }
+        return png;
+    }
+
+    /**
+     * What moves in a video or GIF. A camera path replaces the turntable;
+     * otherwise the camera orbits unless an animation clip, an animated explode
+     * or a clipping sweep is rendered without `turntable`, in which case it stays
+     * on the first view.
+     * @returns {object} { orbit, motion } - motion is e.g. 'animation+turntable'
+     */
+    getMotion(options) {
+        const explode = isAnimatedExplode(options.parts);
+        const sweep = isClippingSweep(options.clipping);
+        const orbit = !options.cameraPath && (options.turntable || !(options.animation || explode || sweep));
+        const motion = [
+            options.animation && 'animation',
+            explode && 'explode',
+            sweep && 'clipping',
+            orbit && 'turntable',
+            options.cameraPath && 'camera-path'
+        ].filter(Boolean).join('+');
+        return { orbit, motion };
+    }
+
+    /**
+     * Capture the frames of a video or GIF into a frame encoder (src/utils/ffmpeg-pipe.js).
+     * Frame n shows the clip and the camera path at exactly n / fps seconds (plus
+     * the clip's requested start time), the turntable at n / frames of a full
+     * turn, and animated explodes and clipping sweeps at n / (frames - 1) of the
+     * way from `from` to `to`, however long each capture takes. The next frame is only captured once
+     * the encoder has accepted the previous one.
+     * @returns {Promise<object>} { frames, motion, animation?, cameraPath? }
+     */
+    async captureFrames(page, encoder, options, transparent) {
+        const totalFrames = Math.round(options.duration * options.fps);
+        const animation = options.animation;
+        const cameraPath = options.cameraPath;
+        const { orbit, motion } = this.getMotion(options);
+        const explode = isAnimatedExplode(options.parts) ? options.parts.explode : null;
+        const sweep = isClippingSweep(options.clipping);
+
+        if (cameraPath) {
+            await page.evaluate((spec) => {
+                window.setCameraPath(spec);
+            }, cameraPath);
+        } else if (!orbit) {
+            await this.applyView(page, this.expandViews(options.views)[0], options.camera);
+        }
+        if (animation) {
+            // Play mode loops the clip when the video is longer than it
+            await page.evaluate((spec) => {
+                window.setAnimation(spec);
+            }, { ...animation, time: null });
+        }
+
+        const startTime = (animation && animation.time) || 0;
+        console.log(`📹 Capturing ${totalFrames} frames (${motion})...`);
+
+        for (let frame = 0; frame < totalFrames; frame++) {
+            const progress = totalFrames > 1 ? frame / (totalFrames - 1) : 1;
+            await page.evaluate((frame) => {
+                return window.setFrame(frame);
+            }, {
+                angle: orbit ? (frame * 360) / totalFrames : null,
+                time: animation ? startTime + frame / options.fps : null,
+                pathTime: cameraPath ? frame / options.fps : null,
+                explode: explode ? explodeFactorAt(explode, progress) : null,
+                clipping: sweep ? progress : null
+            });
+
+            const screenshot = options.stereo
+                ? await this.captureStereo(page, options.stereo, () => page.screenshot({ type: 'png', omitBackground: transparent }))
+                : await page.screenshot({
+                    type: 'png',
+                    omitBackground: transparent
+                });
+
+            await encoder.write(screenshot);
+
+            // Progress logging
+            if (frame % Math.max(1, Math.floor(totalFrames / 10)) === 0) {
+                console.log(`📹 Progress: ${Math.round((frame / totalFrames) * 100)}%`);
+            }
+        }
+
+        const result = { frames: totalFrames, motion };
+        if (animation) {
+            result.animation = { clip: animation.clip, startTime };
+        }
+        if (cameraPath) {
+            result.cameraPath = { interpolation: cameraPath.interpolation, keyframes: cameraPath.keyframes.length };
+        }
+        if (explode) {
+            result.explode = explode;
+        }
+        if (sweep) {
+            result.clipping = options.clipping;
+        }
+        if (options.stereo) {
+            result.stereo = options.stereo;
+        }
+        return result;
+    }
+
     getViewportFromPreset(preset, width = 1920, height = 1080) {
         const presets = {
             ultra: { width: width * 2, height: height * 2 },
@@ -374,80 +1038,6 @@ class PuppeteerRenderer {
         return await image.toBuffer();
     }
 
-    async convertFramesToVideo(frameDir, outputPath, fps) {
-        return new Promise((resolve, reject) => {
-            const args = [
-                '-y', // Overwrite output
-                '-framerate', fps.toString(),
-                '-i', path.join(frameDir, 'frame_%06d.png'),
-                '-c:v', 'libx264',
-                '-pix_fmt', 'yuv420p',
-                '-crf', '18', // High quality
-                outputPath
-            ];
-
-            const ffmpegProcess = spawn(ffmpeg, args);
-
-            ffmpegProcess.on('close', (code) => {
-                if (code === 0) {
-                    resolve();
-                } else {
-                    reject(new Error(`FFmpeg failed with code ${code}`));
-                }
-            });
-
-            ffmpegProcess.on('error', reject);
-        });
-    }
-
-    async convertFramesToGIF(frameDir, outputPath, options) {
-        return new Promise((resolve, reject) => {
-            const args = [
-                '-y',
-                '-framerate', options.fps.toString(),
-                '-i', path.join(frameDir, 'frame_%04d.png'),
-                '-vf', 'palettegen=stats_mode=diff',
-                '-y',
-                path.join(path.dirname(outputPath), 'palette.png')
-            ];
-
-            const paletteProcess = spawn(ffmpeg, args);
-            
-            paletteProcess.on('close', (code) => {
-                if (code === 0) {
-                    // Create GIF with palette
-                    const gifArgs = [
-                        '-y',
-                        '-framerate', options.fps.toString(),
-                        '-i', path.join(frameDir, 'frame_%04d.png'),
-                        '-i', path.join(path.dirname(outputPath), 'palette.png'),
-                        '-lavfi', 'paletteuse=dither=bayer:bayer_scale=5',
-                        outputPath
-                    ];
-
-                    const gifProcess = spawn(ffmpeg, gifArgs);
-                    
-                    gifProcess.on('close', (code) => {
-                        // Cleanup palette
-                        fs.remove(path.join(path.dirname(outputPath), 'palette.png')).catch(() => {});
-                        
-                        if (code === 0) {
-                            resolve();
-                        } else {
-                            reject(new Error(`GIF creation failed with code ${code}`));
-                        }
-                    });
-
-                    gifProcess.on('error', reject);
-                } else {
-                    reject(new Error(`Palette generation failed with code ${code}`));
-                }
-            });
-
-            paletteProcess.on('error', reject);
-        });
-    }
-
     async cleanup() {
         if (this.browser) {
             console.log('🛑 Closing Puppeteer browser...');
@@ -0,0 +1,33 @@
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Diagnostic shading modes, replacing the model's materials for the render
+ * - `wireframe`: original materials drawn as wireframes
+ * - `normals`: surface normals as colors
+ * - `uv-checker`: generated checker texture (magenta where a mesh has no UVs)
+ * - `clay`: one neutral material for every mesh
+ * - `material-id`: a flat color per material; the render result lists the legend
+ * - `overdraw`: additive, depth-test-free layers; brighter means more overlapping surfaces
+ *
+ * Applied in the page by src/viewer/shading.js.
+ */
+const SHADING_MODES = ['default', 'wireframe', 'normals', 'uv-checker', 'clay', 'material-id', 'overdraw'];
+
+/**
+ * Validate the `shading` render option
+ * @returns {string|null} Shading mode, or null for the model's own materials
+ */
+function normalizeShading(shading) {
+    if (shading == null || shading === 'default') {
+        return null;
+    }
+    if (!SHADING_MODES.includes(shading)) {
+        throw new AppError(`Invalid shading: must be one of ${SHADING_MODES.join(', ')}`, 400, 'INVALID_SHADING');
+    }
+    return shading;
+}
+
+module.exports = {
+    SHADING_MODES,
+    normalizeShading
+};
@@ -0,0 +1,97 @@
+const { AppError } = require('../middleware/errorHandler');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Spin sets for interactive 360 product viewers
+ * - One image per angle around the model, in one row per camera elevation
+ * - `frames` spreads that many angles evenly over 360 degrees, `angles` lists them exactly
+ *   (degrees; 0 = front, 90 = camera on the +X side)
+ * - `elevations` are degrees above (positive) or below the model's center
+ * - Every frame uses the same camera distance, so the model does not change size
+ *   between frames or rows
+ *
+ * The renderer writes the frames, a sprite sheet (one row per elevation) and a
+ * JSON manifest describing both.
+ */
+const SPIN_DEFAULTS = {
+    frames: 36,
+    elevations: [15],
+    spriteFrameWidth: 512
+};
+
+const MAX_FRAMES = 360;
+const MAX_ROWS = 12;
+// Widest and tallest sprite sheet: the WebP limit, so every format can encode it
+const MAX_SPRITE_SIZE = 16383;
+
+const invalid = (message) => new AppError(`Invalid spin set: ${message}`, 400, 'INVALID_SPIN_SET');
+
+const { toNumber } = createValidators(invalid);
+
+function toNumberList(value, name, min, max) {
+    if (!Array.isArray(value) || value.length === 0) {
+        throw invalid(`${name} must be a non-empty list of numbers`);
+    }
+    return value.map((item, index) => toNumber(item, `${name}[${index}]`, { min, max }));
+}
+
+/**
+ * Validate the `spinSet` render option
+ * @param {boolean|number|object|undefined} spinSet - true, a frame count, or { frames | angles, elevations, spriteFrameWidth }
+ * @returns {object|null} { angles, elevations, spriteFrameWidth }, or null when disabled;
+ *   spriteFrameWidth is capped so the sheet stays within MAX_SPRITE_SIZE
+ */
+function normalizeSpinSet(spinSet) {
+    if (spinSet == null || spinSet === false) {
+        return null;
+    }
+    if (spinSet === true) {
+        spinSet = {};
+    } else if (typeof spinSet === 'number') {
+        spinSet = { frames: spinSet };
+    } else if (!isPlainObject(spinSet)) {
+        throw invalid('spinSet must be true, a frame count or an object');
+    }
+
+    if (spinSet.frames != null && spinSet.angles != null) {
+        throw invalid('use either frames or angles, not both');
+    }
+
+    let angles;
+    if (spinSet.angles != null) {
+        angles = toNumberList(spinSet.angles, 'angles', -360, 360);
+        if (angles.length > MAX_FRAMES) {
+            throw invalid(`at most ${MAX_FRAMES} angles per row`);
+        }
+    } else {
+        const frames = spinSet.frames != null
+            ? toNumber(spinSet.frames, 'frames', { min: 1, max: MAX_FRAMES, integer: true })
+            : SPIN_DEFAULTS.frames;
+        angles = Array.from({ length: frames }, (_, index) => (index * 360) / frames);
+    }
+
+    // Straight up or down has no defined "around" direction
+    const elevations = spinSet.elevations != null
+        ? toNumberList(spinSet.elevations, 'elevations', -89, 89)
+        : SPIN_DEFAULTS.elevations;
+    if (elevations.length > MAX_ROWS) {
+        throw invalid(`at most ${MAX_ROWS} elevation rows`);
+    }
+
+    const spriteFrameWidth = spinSet.spriteFrameWidth != null
+        ? toNumber(spinSet.spriteFrameWidth, 'spriteFrameWidth', { min: 16, max: 4096, integer: true, unit: 'pixels' })
+        : SPIN_DEFAULTS.spriteFrameWidth;
+
+    return {
+        angles,
+        elevations,
+        // Narrower cells when a row of them would not fit in the sheet
+        spriteFrameWidth: Math.min(spriteFrameWidth, Math.floor(MAX_SPRITE_SIZE / angles.length))
+    };
+}
+
+module.exports = {
+    SPIN_DEFAULTS,
+    MAX_SPRITE_SIZE,
+    normalizeSpinSet
+};
@@ -0,0 +1,67 @@
+const { AppError } = require('../middleware/errorHandler');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Stereo pairs for VR headsets and 3D displays
+ * - Left and right eye images are rendered from cameras `ipd` apart (glTF units,
+ *   i.e. meters) and packed into one frame: `sbs` (left | right) or `tb` (left above right)
+ * - `convergence` is the distance from the camera to the zero-parallax plane (glTF
+ *   units); null converges on the orbit target, so the model sits at screen depth
+ * - Each eye renders at the requested size, so an `sbs` frame is twice as wide
+ *   and a `tb` frame twice as high
+ *
+ * Works for still images, videos, GIFs and equirectangular panoramas (where the
+ * eyes converge at infinity and `convergence` does not apply).
+ */
+const STEREO_MODES = ['sbs', 'tb'];
+
+const STEREO_DEFAULTS = {
+    mode: 'sbs',
+    ipd: 0.064
+};
+
+const invalid = (message) => new AppError(`Invalid stereo: ${message}`, 400, 'INVALID_STEREO');
+
+const { toNumber } = createValidators(invalid);
+
+/**
+ * Validate the `stereo` render option
+ * @param {boolean|string|object|undefined} stereo - true, a mode, or { mode, ipd, convergence }
+ * @returns {object|null} { mode, ipd, convergence }, or null when disabled
+ */
+function normalizeStereo(stereo) {
+    if (stereo == null || stereo === false) {
+        return null;
+    }
+    if (stereo === true) {
+        stereo = {};
+    } else if (typeof stereo === 'string') {
+        stereo = { mode: stereo };
+    } else if (!isPlainObject(stereo)) {
+        throw invalid('stereo must be true, a mode or an object');
+    }
+
+    const mode = stereo.mode || STEREO_DEFAULTS.mode;
+    if (!STEREO_MODES.includes(mode)) {
+        throw invalid(`mode must be one of ${STEREO_MODES.join(', ')}`);
+    }
+
+    const ipd = stereo.ipd != null
+        ? toNumber(stereo.ipd, 'ipd', { min: 0, minExclusive: true, max: 10 })
+        : STEREO_DEFAULTS.ipd;
+    const convergence = stereo.convergence != null
+        ? toNumber(stereo.convergence, 'convergence', { min: 0, minExclusive: true })
+        : null;
+
+    return {
+        mode,
+        ipd,
+        convergence
+    };
+}
+
+module.exports = {
+    STEREO_MODES,
+    STEREO_DEFAULTS,
+    normalizeStereo
+};
@@ -0,0 +1,17 @@
+const config = require('../config/config');
+const { createFileLibrary } = require('./file-library');
+
+/**
+ * Texture library (PNG, JPEG, WebP) for material overrides
+ * - Files live in storage/textures (see src/renderer/file-library.js)
+ * - Render requests reference them by id, the viewer loads them from /storage/textures
+ */
+const textureLibrary = createFileLibrary({
+    directory: config.storage.textures,
+    urlPath: '/storage/textures',
+    extensions: ['.png', '.jpg', '.jpeg', '.webp']
+});
+
+module.exports = {
+    textureLibrary
+};
@@ -0,0 +1,95 @@
+const { AppError } = require('../middleware/errorHandler');
+const { isPlainObject, createValidators } = require('./validation');
+
+/**
+ * Tiled rendering for still images larger than the browser can render at once
+ * The image is split into an n x n grid of equal tiles. Every tile is rendered
+ * from the same camera with a view offset (the tile's slice of the full frustum)
+ * in a tile-sized viewport, then the screenshots are stitched with Sharp. Tiles
+ * keep the image's aspect ratio, so views are framed exactly as in a single render.
+ *
+ * - Images up to MAX_VIEWPORT on both sides render in one pass unless `tiling` forces tiles
+ * - `tiling`: true, false (never tile), or { tileSize } (largest tile side, default 2048)
+ * - Screen-space effects (SSAO, bloom, outlines) are computed per tile and can
+ *   show seams at tile edges; geometry, lighting and SSAA are seamless
+ */
+const MAX_OUTPUT_SIZE = 16384;
+const MAX_VIEWPORT = 4096;
+const TILE_SIZE = 2048;
+const MIN_TILE_SIZE = 256;
+
+const invalid = (message) => new AppError(`Invalid tiling: ${message}`, 400, 'INVALID_TILING');
+
+const { toNumber } = createValidators(invalid);
+
+/**
+ * Validate the `tiling` render option
+ * @returns {object} { enabled (true, false or 'auto'), tileSize }
+ */
+function normalizeTiling(tiling) {
+    if (tiling == null) {
+        return { enabled: 'auto', tileSize: TILE_SIZE };
+    }
+    if (typeof tiling === 'boolean') {
+        return { enabled: tiling, tileSize: TILE_SIZE };
+    }
+    if (!isPlainObject(tiling)) {
+        throw invalid('tiling must be true, false or { tileSize }');
+    }
+
+    const tileSize = tiling.tileSize != null
+        ? toNumber(tiling.tileSize, 'tileSize', { min: MIN_TILE_SIZE, max: MAX_VIEWPORT, integer: true, unit: 'pixels' })
+        : TILE_SIZE;
+    return { enabled: true, tileSize };
+}
+
+/**
+ * Split an output size into tiles
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @param {object} tiling - Result of normalizeTiling
+ * @returns {object|null} { width, height, tileWidth, tileHeight, grid, tiles: [{ x, y, width, height }] },
+ *   or null when the image renders in one pass
+ */
+function planTiles(width, height, tiling) {
+    if (width > MAX_OUTPUT_SIZE || height > MAX_OUTPUT_SIZE) {
+        throw new AppError(`Output size ${width}x${height} exceeds the maximum of ${MAX_OUTPUT_SIZE}px per side`, 400, 'OUTPUT_TOO_LARGE');
+    }
+
+    const fits = width <= MAX_VIEWPORT && height <= MAX_VIEWPORT;
+    if (tiling.enabled === false) {
+        if (!fits) {
+            throw invalid(`images larger than ${MAX_VIEWPORT}px need tiling`);
+        }
+        return null;
+    }
+    if (tiling.enabled === 'auto' && fits) {
+        return null;
+    }
+
+    const grid = Math.ceil(Math.max(width, height) / tiling.tileSize);
+    const tileWidth = Math.ceil(width / grid);
+    const tileHeight = Math.ceil(height / grid);
+
+    const tiles = [];
+    for (let row = 0; row < grid; row++) {
+        for (let column = 0; column < grid; column++) {
+            const x = column * tileWidth;
+            const y = row * tileHeight;
+            // The last row and column may have less than a full tile left
+            if (x < width && y < height) {
+                tiles.push({ x, y, width: Math.min(tileWidth, width - x), height: Math.min(tileHeight, height - y) });
+            }
+        }
+    }
+
+    return { width, height, tileWidth, tileHeight, grid, tiles };
+}
+
+module.exports = {
+    MAX_OUTPUT_SIZE,
+    MAX_VIEWPORT,
+    TILE_SIZE,
+    normalizeTiling,
+    planTiles
+};
@@ -0,0 +1,89 @@
+/**
+ * Shared parsing rules for render options, so every option accepts the same values
+ * - Numbers are JSON numbers or numeric strings ("5"); booleans, arrays, null and
+ *   blank strings are rejected
+ * - Vectors are [x, y, z] or { x, y, z } of such numbers
+ * - Colors are hex strings ("#fff", "#ffffff") or integers (0xffffff), returned as
+ *   lowercase hex strings
+ *
+ * Errors go through the calling module's own `invalid` helper, so they keep its
+ * message prefix and error code.
+ */
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+}
+
+// e.g. "must be a whole number of pixels between 16 and 4096", "must be a number greater than 0"
+function describeNumber(name, { min, max, minExclusive, integer, unit }) {
+    const kind = `${integer ? 'a whole number' : 'a number'}${unit ? ` of ${unit}` : ''}`;
+    const lower = min > -Infinity ? (minExclusive ? `greater than ${min}` : `${min} or more`) : null;
+    if (lower && max < Infinity) {
+        return minExclusive
+            ? `${name} must be ${kind} ${lower} and at most ${max}`
+            : `${name} must be ${kind} between ${min} and ${max}`;
+    }
+    if (lower) {
+        return minExclusive ? `${name} must be ${kind} ${lower}` : `${name} must be ${kind}, ${lower}`;
+    }
+    if (max < Infinity) {
+        return `${name} must be ${kind}, ${max} or less`;
+    }
+    return `${name} must be ${kind}`;
+}
+
+/**
+ * Validators that throw through `invalid`
+ * @param {function(string): Error} invalid - The module's error helper, e.g. an INVALID_<OPTION> AppError
+ * @returns {object} { toNumber, toVector, toColor }
+ */
+function createValidators(invalid) {
+    /**
+     * @param {object} [limits] - { min, max, minExclusive (min itself is rejected), integer, unit }
+     *   (unit only words the error)
+     */
+    function toNumber(value, name, { min = -Infinity, max = Infinity, minExclusive = false, integer = false, unit = null } = {}) {
+        const number = parseNumber(value);
+        if (!Number.isFinite(number) || number < min || (minExclusive && number === min) || number > max
+            || (integer && !Number.isInteger(number))) {
+            throw invalid(describeNumber(name, { min, max, minExclusive, integer, unit }));
+        }
+        return number;
+    }
+
+    function toVector(value, name) {
+        const components = Array.isArray(value)
+            ? value
+            : isPlainObject(value) ? [value.x, value.y, value.z] : null;
+
+        if (!components || components.length !== 3) {
+            throw invalid(`${name} must be [x, y, z] or { x, y, z }`);
+        }
+        return components.map((component, index) => toNumber(component, `${name}[${index}]`));
+    }
+
+    function toColor(value, name) {
+        if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+            return `#${value.toString(16).padStart(6, '0')}`;
+        }
+        if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+            throw invalid(`${name} must be a hex color like "#ffffff"`);
+        }
+        return value.toLowerCase();
+    }
+
+    return { toNumber, toVector, toColor };
+}
+
+module.exports = {
+    isPlainObject,
+    createValidators
+};
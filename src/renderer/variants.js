@@ -0,0 +1,86 @@
+const { AppError } = require('../middleware/errorHandler');
+const { readGltf, listVariants } = require('./gltf-info');
+
+/**
+ * Material variant selection for renders (KHR_materials_variants)
+ * - `variant` renders one variant, by name or index
+ * - `variants` renders every output once per variant: `all`, or a list of names/indexes
+ * - Output file names get the variant appended (`<model>_<variant>_<view>.png`)
+ *   and every result carries its `variant` name
+ *
+ * Variants are switched in the page by src/viewer/variants.js, without reloading the model.
+ */
+const invalid = (message) => new AppError(`Invalid variant: ${message}`, 400, 'INVALID_VARIANT');
+
+function isVariantRef(value) {
+    return (typeof value === 'string' && value !== '') || (Number.isInteger(value) && value >= 0);
+}
+
+// File-name-safe label, unique within the render
+function toSlugs(variants) {
+    const used = new Set();
+    return variants.map((variant) => {
+        let slug = variant.name.replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '') || `variant-${variant.index}`;
+        if (used.has(slug)) {
+            slug = `${slug}-${variant.index}`;
+        }
+        used.add(slug);
+        return { ...variant, slug };
+    });
+}
+
+/**
+ * Validate the `variant` / `variants` render options against the model's variants
+ * @param {*} variant - One variant name or index
+ * @param {*} variants - 'all', or a list of variant names or indexes
+ * @param {string} modelPath - GLB/glTF file the render will load
+ * @returns {Promise<Array<object>|null>} [{ name, index, slug }] in render order, or null for the default materials
+ */
+async function resolveVariants(variant, variants, modelPath) {
+    if (variant == null && variants == null) {
+        return null;
+    }
+    if (variant != null && variants != null) {
+        throw invalid('use either variant or variants, not both');
+    }
+
+    let requested;
+    if (variant != null) {
+        if (!isVariantRef(variant)) {
+            throw invalid('variant must be a variant name or a non-negative index');
+        }
+        requested = [variant];
+    } else if (variants === 'all') {
+        requested = 'all';
+    } else if (Array.isArray(variants) && variants.length > 0 && variants.every(isVariantRef)) {
+        requested = variants;
+    } else {
+        throw invalid('variants must be "all" or a list of variant names or indexes');
+    }
+
+    const available = listVariants(await readGltf(modelPath));
+    if (available.length === 0) {
+        throw invalid('the model has no material variants (KHR_materials_variants)');
+    }
+    if (requested === 'all') {
+        return toSlugs(available.map(({ name, index }) => ({ name, index })));
+    }
+
+    const resolved = requested.map((ref) => {
+        const match = typeof ref === 'number'
+            ? available[ref]
+            : available.find(item => item.name === ref);
+        if (!match) {
+            const names = available.map(item => `${item.index}: ${item.name}`).join(', ');
+            throw new AppError(`Material variant not found: ${ref} (available: ${names})`, 404, 'VARIANT_NOT_FOUND');
+        }
+        return { name: match.name, index: match.index };
+    });
+
+    // The same variant twice would overwrite its own outputs
+    return toSlugs(resolved.filter((item, position) => resolved.findIndex(other => other.index === item.index) === position));
+}
+
+module.exports = {
+    resolveVariants
+};
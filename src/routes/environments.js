@@ -0,0 +1,13 @@
+const { environmentLibrary } = require('../renderer/environments');
+const { createLibraryRouter } = require('./file-library');
+
+/**
+ * HDR/EXR environment maps
+ * POST, GET /api/environments; GET, DELETE /api/environments/:id
+ */
+module.exports = createLibraryRouter({
+  library: environmentLibrary,
+  field: 'environment',
+  noun: 'environment map',
+  typeError: 'Only HDR and EXR environment maps are allowed'
+});
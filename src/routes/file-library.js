@@ -0,0 +1,170 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { AppError } = require('../middleware/errorHandler');
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Upload, list, inspect and delete routes for a file library (see src/renderer/file-library.js)
+ * @param {object} options
+ * @param {object} options.library - From createFileLibrary
+ * @param {string} options.field - Upload form field and response key, e.g. 'texture' (lists use `${field}s`)
+ * @param {string} options.noun - What one file is called in messages, e.g. 'environment map'
+ * @param {string} options.typeError - Message for an upload with a disallowed extension
+ */
+function createLibraryRouter({ library, field, noun, typeError }) {
+  const router = express.Router();
+  const plural = `${field}s`;
+
+  const storage = multer.diskStorage({
+    destination: async (req, file, cb) => {
+      try {
+        await fs.mkdir(library.directory, { recursive: true });
+        cb(null, library.directory);
+      } catch (error) {
+        logger.error(`Failed to create ${plural} directory:`, error);
+        cb(error);
+      }
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  });
+
+  const fileFilter = (req, file, cb) => {
+    const fileExtension = path.extname(file.originalname).toLowerCase();
+
+    if (library.extensions.includes(fileExtension)) {
+      cb(null, true);
+    } else {
+      cb(new AppError(typeError, 400), false);
+    }
+  };
+
+  const upload = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+      fileSize: config.storage.maxFileSize,
+      files: 1
+    }
+  });
+
+  /**
+   * Upload a file
+   * POST /
+   */
+  router.post('/', upload.single(field), async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: `No ${noun} uploaded`
+        });
+      }
+
+      await library.saveMetadata(req.file.filename, {
+        originalName: req.file.originalname,
+        uploadedAt: new Date().toISOString()
+      });
+
+      const entry = await library.get(req.file.filename);
+      logger.info(`${capitalize(noun)} uploaded:`, entry);
+
+      res.json({
+        success: true,
+        message: `${capitalize(noun)} uploaded successfully`,
+        [field]: entry
+      });
+
+    } catch (error) {
+      logger.error(`${capitalize(field)} upload error:`, error);
+      next(error);
+    }
+  });
+
+  /**
+   * List files
+   * GET /
+   */
+  router.get('/', async (req, res, next) => {
+    try {
+      const entries = await library.list();
+
+      res.json({
+        success: true,
+        [plural]: entries,
+        count: entries.length
+      });
+
+    } catch (error) {
+      logger.error(`List ${plural} error:`, error);
+      next(error);
+    }
+  });
+
+  /**
+   * Get file info
+   * GET /:id
+   */
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const entry = await library.get(req.params.id);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: `${capitalize(field)} not found`
+        });
+      }
+
+      res.json({
+        success: true,
+        [field]: entry
+      });
+
+    } catch (error) {
+      logger.error(`Get ${field} error:`, error);
+      next(error);
+    }
+  });
+
+  /**
+   * Delete a file
+   * DELETE /:id
+   */
+  router.delete('/:id', async (req, res, next) => {
+    try {
+      const deleted = await library.remove(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `${capitalize(field)} not found`
+        });
+      }
+
+      logger.info(`${capitalize(field)} deleted: ${req.params.id}`);
+
+      res.json({
+        success: true,
+        message: `${capitalize(field)} deleted successfully`
+      });
+
+    } catch (error) {
+      logger.error(`Delete ${field} error:`, error);
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createLibraryRouter
+};
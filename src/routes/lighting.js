@@ -0,0 +1,144 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const {
+  getLightingRig,
+  listLightingRigs,
+  saveLightingRig,
+  deleteLightingRig
+} = require('../renderer/lighting-rigs');
+
+const router = express.Router();
+
+/**
+ * Save a new lighting rig
+ * POST /api/lighting-rigs
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (await getLightingRig(name)) {
+      return res.status(409).json({
+        success: false,
+        error: `Lighting rig already exists: ${name}`
+      });
+    }
+
+    const rig = await saveLightingRig(name, req.body);
+    logger.info(`Lighting rig created: ${rig.name}`, { lights: rig.lights.length });
+
+    res.status(201).json({
+      success: true,
+      message: 'Lighting rig saved successfully',
+      rig
+    });
+
+  } catch (error) {
+    logger.error('Create lighting rig error:', error);
+    next(error);
+  }
+});
+
+/**
+ * List saved lighting rigs
+ * GET /api/lighting-rigs
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const rigs = await listLightingRigs();
+
+    res.json({
+      success: true,
+      rigs,
+      count: rigs.length
+    });
+
+  } catch (error) {
+    logger.error('List lighting rigs error:', error);
+    next(error);
+  }
+});
+
+/**
+ * Get a saved lighting rig
+ * GET /api/lighting-rigs/:name
+ */
+router.get('/:name', async (req, res, next) => {
+  try {
+    const rig = await getLightingRig(req.params.name);
+
+    if (!rig) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lighting rig not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      rig
+    });
+
+  } catch (error) {
+    logger.error('Get lighting rig error:', error);
+    next(error);
+  }
+});
+
+/**
+ * Replace a saved lighting rig
+ * PUT /api/lighting-rigs/:name
+ */
+router.put('/:name', async (req, res, next) => {
+  try {
+    if (!(await getLightingRig(req.params.name))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lighting rig not found'
+      });
+    }
+
+    const rig = await saveLightingRig(req.params.name, req.body);
+    logger.info(`Lighting rig updated: ${rig.name}`, { lights: rig.lights.length });
+
+    res.json({
+      success: true,
+      message: 'Lighting rig updated successfully',
+      rig
+    });
+
+  } catch (error) {
+    logger.error('Update lighting rig error:', error);
+    next(error);
+  }
+});
+
+/**
+ * Delete a saved lighting rig
+ * DELETE /api/lighting-rigs/:name
+ */
+router.delete('/:name', async (req, res, next) => {
+  try {
+    const deleted = await deleteLightingRig(req.params.name);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lighting rig not found'
+      });
+    }
+
+    logger.info(`Lighting rig deleted: ${req.params.name}`);
+
+    res.json({
+      success: true,
+      message: 'Lighting rig deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete lighting rig error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
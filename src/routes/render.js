@@ -4,9 +4,16 @@ const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const { viewerScriptTags, inlineViewerScript } = require('../middleware/vendorAssets');
+const { normalizeCameraSpec, normalizeFraming, resolveFraming } = require('../renderer/camera-spec');
+const { normalizeColorManagement } = require('../renderer/color-management');
+const { normalizeComposite, buildContactSheet } = require('../renderer/contact-sheet');
 
 const router = express.Router();
 
+// Inline pages have no origin of their own, so vendored assets are loaded from this server
+const assetBaseUrl = `http://127.0.0.1:${config.server.port}`;
+
 // Puppeteer browser instance (reused across requests for better performance)
 let browserInstance = null;
 
@@ -43,6 +50,11 @@ router.post('/', async (req, res, next) => {
   try {
     const { fileId, cameraPosition = 'front', width = 800, height = 600, backgroundColor = '#f0f0f0' } = req.body;
     
+    // Explicit camera spec, takes precedence over the cameraPosition preset
+    const cameraSpec = normalizeCameraSpec(req.body.camera);
+    const framing = normalizeFraming(req.body.framing);
+    const color = normalizeColorManagement(req.body);
+    
     if (!fileId) {
       return res.status(400).json({
         success: false,
@@ -61,6 +73,9 @@ router.post('/', async (req, res, next) => {
       });
     }
 
+    // 404 for a framed node the model does not have, before opening a page
+    await resolveFraming(framing, filePath);
+
     // Get browser instance
     const browser = await getBrowser();
     page = await browser.newPage();
@@ -113,13 +128,16 @@ router.post('/', async (req, res, next) => {
     </div>
     <div id="container"></div>
 
-    <script src="https://cdnjs.cloudflare.com/ajax/libs/three.js/0.169.0/three.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/three@0.169.0/examples/js/loaders/GLTFLoader.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/three@0.169.0/examples/js/controls/OrbitControls.js"></script>
+    ${viewerScriptTags(assetBaseUrl)}
+    ${inlineViewerScript('camera')}
+    ${inlineViewerScript('color')}
 
     <script>
         let scene, camera, renderer, controls;
         let model = null;
+        const cameraSpec = ${JSON.stringify(cameraSpec)};
+        const framing = ${JSON.stringify(framing)};
+        const color = ${JSON.stringify(color)};
         
         const cameraPositions = {
             front: { x: 0, y: 0, z: 5 },
@@ -152,7 +170,7 @@ router.post('/', async (req, res, next) => {
             renderer.setSize(${width}, ${height});
             renderer.shadowMap.enabled = true;
             renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-            renderer.outputColorSpace = THREE.SRGBColorSpace;
+            ViewerColor.apply(renderer, color);
             
             container.appendChild(renderer.domElement);
             
@@ -204,9 +222,25 @@ router.post('/', async (req, res, next) => {
                         model.scale.setScalar(scale);
                         
                         // Set camera position
-                        const pos = cameraPositions['${cameraPosition}'] || cameraPositions.front;
-                        camera.position.set(pos.x, pos.y, pos.z);
-                        camera.lookAt(0, 0, 0);
+                        if (cameraSpec) {
+                            const fitted = new THREE.Box3().setFromObject(model);
+                            const result = ViewerCamera.createCamera(cameraSpec, fitted, ${width} / ${height});
+                            camera = result.camera;
+                            // OrbitControls captures camera.up on construction
+                            controls.dispose();
+                            controls = new THREE.OrbitControls(camera, renderer.domElement);
+                            controls.target.copy(result.target);
+                        } else {
+                            // Preset direction, at the distance that fits the framed box
+                            const framed = framing.node ? model.getObjectByName(THREE.PropertyBinding.sanitizeNodeName(framing.node)) : model;
+                            if (!framed) {
+                                throw new Error('Framing node "' + framing.node + '" not found');
+                            }
+                            const pos = cameraPositions['${cameraPosition}'] || cameraPositions.front;
+                            const direction = new THREE.Vector3(pos.x, pos.y, pos.z);
+                            const fit = ViewerCamera.fitCamera(camera, new THREE.Box3().setFromObject(framed), direction, framing);
+                            controls.target.copy(fit.target);
+                        }
                         
                         loading.style.display = 'none';
                         
@@ -243,8 +277,14 @@ router.post('/', async (req, res, next) => {
             renderer.render(scene, camera);
         }
         
-        // Initialize when page loads
-        init();
+        // Initialize once the vendored three.js bundle is loaded
+        window.addEventListener('three-ready', init);
+        window.addEventListener('three-error', (event) => {
+            document.getElementById('loading').style.display = 'none';
+            document.getElementById('error').style.display = 'block';
+            document.getElementById('error-message').textContent = event.detail.message;
+            window.modelError = true;
+        });
     </script>
 </body>
 </html>`;
@@ -313,6 +353,9 @@ router.post('/', async (req, res, next) => {
       metadata: {
         fileId,
         cameraPosition,
+        camera: cameraSpec,
+        framing,
+        color,
         width: parseInt(width),
         height: parseInt(height),
         backgroundColor,
@@ -357,6 +400,11 @@ router.post('/multi', async (req, res, next) => {
       backgroundColor = '#f0f0f0' 
     } = req.body;
     
+    // Validated once so every view renders with the same color settings and framing
+    const color = normalizeColorManagement(req.body);
+    const framing = normalizeFraming(req.body.framing);
+    const composite = normalizeComposite(req.body.composite);
+    
     if (!fileId) {
       return res.status(400).json({
         success: false,
@@ -382,7 +430,7 @@ router.post('/multi', async (req, res, next) => {
         // Make internal request to single render endpoint
         const renderResult = await new Promise((resolve, reject) => {
           const mockReq = {
-            body: { fileId, cameraPosition: position, width, height, backgroundColor }
+            body: { fileId, cameraPosition: position, width, height, backgroundColor, framing, ...color }
           };
           const mockRes = {
             json: (data) => resolve(data),
@@ -421,10 +469,26 @@ router.post('/multi', async (req, res, next) => {
 
     logger.info(`Multi-angle render completed: ${successfulRenders.length} successful, ${failedRenders.length} failed`);
 
+    // Optional contact sheet of the successful views, as one PNG
+    let sheet = null;
+    if (composite && successfulRenders.length > 0) {
+      const cells = successfulRenders.map(render => ({
+        image: Buffer.from(render.image.slice(render.image.indexOf(',') + 1), 'base64'),
+        label: render.cameraPosition
+      }));
+      const { image, ...layout } = await buildContactSheet(cells, composite, path.parse(fileId).name);
+      sheet = {
+        image: `data:image/png;base64,${image.toString('base64')}`,
+        views: successfulRenders.map(render => render.cameraPosition),
+        ...layout
+      };
+    }
+
     res.json({
       success: successfulRenders.length > 0,
       message: `Rendered ${successfulRenders.length} out of ${cameraPositions.length} views`,
       renders: renders,
+      ...(sheet && { composite: sheet }),
       summary: {
         total: cameraPositions.length,
         successful: successfulRenders.length,
@@ -0,0 +1,13 @@
+const { textureLibrary } = require('../renderer/textures');
+const { createLibraryRouter } = require('./file-library');
+
+/**
+ * Textures for material overrides (PNG, JPEG, WebP)
+ * POST, GET /api/textures; GET, DELETE /api/textures/:id
+ */
+module.exports = createLibraryRouter({
+  library: textureLibrary,
+  field: 'texture',
+  noun: 'texture',
+  typeError: 'Only PNG, JPEG and WebP textures are allowed'
+});
@@ -8,6 +8,32 @@ const { v4: uuidv4 } = require('uuid');
 
 const PuppeteerRenderer = require('./renderer/puppeteer-renderer');
 const JobQueue = require('./queue/job-queue');
+const { normalizeCameraSpec, normalizeCameraPath, resolveFraming } = require('./renderer/camera-spec');
+const { VENDOR_PATH, vendorAssets, verifyVendorAssets } = require('./middleware/vendorAssets');
+const { errorHandler } = require('./middleware/errorHandler');
+const environmentRoutes = require('./routes/environments');
+const { normalizeEnvironmentSpec } = require('./renderer/environments');
+const lightingRoutes = require('./routes/lighting');
+const { resolveLighting } = require('./renderer/lighting-rigs');
+const { normalizeColorManagement } = require('./renderer/color-management');
+const { normalizeGround } = require('./renderer/ground');
+const { resolveEffects } = require('./renderer/effects');
+const { normalizeShading } = require('./renderer/shading');
+const { normalizePasses } = require('./renderer/passes');
+const { resolveAnimation } = require('./renderer/animation');
+const { resolveVariants } = require('./renderer/variants');
+const { resolveOverrides } = require('./renderer/material-overrides');
+const { resolveParts } = require('./renderer/parts');
+const { normalizeClipping } = require('./renderer/clipping');
+const { resolveDimensions } = require('./renderer/dimensions');
+const textureRoutes = require('./routes/textures');
+const { normalizeEncoding } = require('./renderer/encoding');
+const { normalizeTiling } = require('./renderer/tiling');
+const { normalizeSpinSet } = require('./renderer/spin-set');
+const { resolvePanorama, checkPanoramaSize } = require('./renderer/panorama');
+const { normalizeStereo } = require('./renderer/stereo');
+const { normalizeComposite } = require('./renderer/contact-sheet');
+const { readGltf, listAnimations, listVariants, listMaterials } = require('./renderer/gltf-info');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,6 +47,7 @@ app.use(express.json({ limit: '50mb' }));
 
 // Static files
 app.use('/viewer', express.static(path.join(__dirname, 'viewer')));
+app.use(VENDOR_PATH, vendorAssets);
 app.use('/storage', express.static(path.join(__dirname, '../storage')));
 
 // File upload configuration
@@ -62,7 +89,7 @@ app.get('/', (req, res) => {
             'Video Export (MP4, GIF)',
             'Quality Presets (Ultra/High/Medium/Low)',
             'Batch Processing',
-            'HDR Backgrounds',
+            'HDR/EXR Environment Lighting',
             'Advanced Lighting'
         ],
         endpoints: {
@@ -70,6 +97,12 @@ app.get('/', (req, res) => {
             render: 'POST /api/render',
             job: 'GET /api/job/:id',
             files: 'GET /api/files',
+            animations: 'GET /api/files/:name/animations',
+            variants: 'GET /api/files/:name/variants',
+            materials: 'GET /api/files/:name/materials',
+            textures: 'GET|POST|DELETE /api/textures',
+            environments: 'GET|POST /api/environments',
+            lightingRigs: 'GET|POST|PUT|DELETE /api/lighting-rigs',
             download: 'GET /api/download/:id'
         }
     });
@@ -148,6 +181,66 @@ app.get('/api/files', async (req, res) => {
     }
 });
 
+// List the animation clips of an uploaded model
+app.get('/api/files/:name/animations', async (req, res) => {
+    try {
+        const gltf = await readGltf(path.join(__dirname, '../storage/uploads', path.basename(req.params.name)));
+        const animations = listAnimations(gltf);
+
+        res.json({
+            success: true,
+            file: req.params.name,
+            animations,
+            count: animations.length
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// List the material variants (KHR_materials_variants) of an uploaded model
+app.get('/api/files/:name/variants', async (req, res) => {
+    try {
+        const gltf = await readGltf(path.join(__dirname, '../storage/uploads', path.basename(req.params.name)));
+        const variants = listVariants(gltf);
+
+        res.json({
+            success: true,
+            file: req.params.name,
+            variants,
+            count: variants.length
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// List the materials of an uploaded model, with the nodes using each one (override targets)
+app.get('/api/files/:name/materials', async (req, res) => {
+    try {
+        const gltf = await readGltf(path.join(__dirname, '../storage/uploads', path.basename(req.params.name)));
+        const materials = listMaterials(gltf);
+
+        res.json({
+            success: true,
+            file: req.params.name,
+            materials,
+            count: materials.length
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Environment map library (HDR/EXR for image-based lighting)
+app.use('/api/environments', environmentRoutes);
+
+// Saved lighting rigs, referenced from render requests as { lighting: { rig: name } }
+app.use('/api/lighting-rigs', lightingRoutes);
+
+// Texture library (PNG/JPEG/WebP), referenced from material overrides as { map: id }
+app.use('/api/textures', textureRoutes);
+
 // Start rendering job
 app.post('/api/render', async (req, res) => {
     try {
@@ -160,39 +253,82 @@ app.post('/api/render', async (req, res) => {
             return res.status(400).json({ error: 'fileName is required' });
         }
 
+        const modelPath = path.join(__dirname, '../storage/uploads', path.basename(fileName));
+
+        // Clip by name or index, posed at { time } seconds or { phase } 0-1
+        const animation = await resolveAnimation(options.animation, modelPath);
+
+        // Keyframed camera for videos; its length is the default video duration
+        const cameraPath = normalizeCameraPath(options.cameraPath);
+
         // Default render options
         const renderOptions = {
             // Basic settings
             width: options.width || 1920,
             height: options.height || 1080,
-            format: options.format || 'png', // png, jpg, webp, mp4, gif
+            format: options.format || 'png', // png, jpg, webp, mp4, webm, apng, gif
             quality: options.quality || 90,
+            // Animated outputs: crf/bitrate (mp4, webm), quality/lossless (webp), compression (apng), loop
+            encoding: normalizeEncoding(options.format || 'png', options.encoding),
             
             // Views and cameras
             views: options.views || ['perspective'], // front, side, top, perspective, all
             cameraDistance: options.cameraDistance || 'auto',
+            camera: normalizeCameraSpec(options.camera), // explicit camera, replaces views
+            framing: await resolveFraming(options.framing, modelPath), // sphere or box fit, padding %, optional node
+            cameraPath, // video flythrough: keyframes with time, position, target, fov
+            
+            // Materials: one KHR_materials_variants variant, or several rendered one after another
+            variants: await resolveVariants(options.variant, options.variants, modelPath),
+            // Recolor/retexture by material or node name: baseColor, metalness, roughness, emissive, map
+            overrides: await resolveOverrides(options.overrides, modelPath),
+            // Parts: hide/isolate nodes by name, explode meshes from the center (animated from/to in videos)
+            parts: await resolveParts(options, modelPath),
+            // Section planes: [{ normal, constant | bboxFraction (or { from, to } to sweep), cap }]
+            clipping: normalizeClipping(options.clipping),
+            // Overlay: bounding-box dimension lines and node-to-node measurements in m, cm, mm or in
+            dimensions: await resolveDimensions(options.dimensions, modelPath),
             
             // Lighting
-            lighting: options.lighting || 'studio', // studio, outdoor, dramatic, custom
+            lighting: await resolveLighting(options.lighting), // preset, { lights: [...] } or { rig: name }
             shadows: options.shadows !== false,
+            ground: normalizeGround(options.ground), // shadow-only ground plane with contact/cast shadows
             
             // Background
             background: options.background || '#ffffff',
             transparent: options.transparent || false,
             
+            // Color: toneMapping (none, linear, reinhard, aces, agx, neutral), exposure, outputColorSpace
+            color: normalizeColorManagement(options),
+            
             // Animation
+            // Videos/GIFs with a clip play it from its time/phase; turntable also orbits the camera
+            animation,
             turntable: options.turntable || false,
-            duration: options.duration || 5, // seconds
+            spinSet: normalizeSpinSet(options.spinSet), // 360 viewer frames at angles x elevations, sprite sheet, manifest
+            panorama: await resolvePanorama(options.panorama, modelPath), // equirectangular + cubemap from a point in the scene
+            stereo: normalizeStereo(options.stereo), // left/right eye pair packed side by side or top-bottom
+            composite: normalizeComposite(options.composite), // contact sheet of all views with captions
+            // seconds; defaults to the camera path length, then one clip loop
+            duration: options.duration || (cameraPath && cameraPath.duration) || (animation && animation.duration) || 5,
             fps: options.fps || 30,
             
             // Quality preset
             preset: options.preset || 'high', // ultra, high, medium, low
+            // Stills above 4096px are rendered in tiles and stitched (up to 16384px per side)
+            tiling: normalizeTiling(options.tiling),
             
             // Advanced
             antialiasing: options.antialiasing !== false,
-            postProcessing: options.postProcessing || false,
-            hdrEnvironment: options.hdrEnvironment || null
+            postProcessing: options.postProcessing || false, // Sharp pass on the captured image
+            effects: await resolveEffects(options.effects, modelPath), // in-page SSAO, bloom, antialias, outline
+            shading: normalizeShading(options.shading), // diagnostic view: wireframe, normals, uv-checker, clay, material-id, overdraw
+            // Still images: beauty, depth, normal, mask (mask colors by node or material)
+            ...normalizePasses(options.passes, options.maskBy),
+            // Image-based lighting from the environment library (hdrEnvironment is the legacy name)
+            environment: await normalizeEnvironmentSpec(options.environment || options.hdrEnvironment)
         };
+        checkPanoramaSize(renderOptions.panorama, renderOptions.format, renderOptions.stereo);
 
         const jobId = await jobQueue.addJob({
             type: 'render',
@@ -208,7 +344,8 @@ app.post('/api/render', async (req, res) => {
         });
 
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        // Invalid render options carry a 4xx statusCode
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
@@ -249,13 +386,22 @@ app.get('/api/download/:id', async (req, res) => {
     }
 });
 
+// Errors passed on by the API routers
+app.use(errorHandler);
+
 // Start server
 async function startServer() {
     try {
+        // Refuse to start without the vendored viewer assets
+        const vendor = verifyVendorAssets();
+        console.log(`📦 Vendored three.js ${vendor.version} (${vendor.assets} assets)`);
+
         // Ensure directories exist
         await fs.ensureDir(path.join(__dirname, '../storage/uploads'));
         await fs.ensureDir(path.join(__dirname, '../storage/renders'));
         await fs.ensureDir(path.join(__dirname, '../storage/temp'));
+        await fs.ensureDir(path.join(__dirname, '../storage/environments'));
+        await fs.ensureDir(path.join(__dirname, '../storage/textures'));
         
         // Copy backup GLB files if they exist
         const backupDir = path.join(__dirname, '../backup');
@@ -0,0 +1,106 @@
+const { spawn } = require('child_process');
+const { once } = require('events');
+const fs = require('fs');
+
+/**
+ * Stream encoded frames (PNG screenshots) into an ffmpeg process over stdin
+ * Frames are never written to disk: `write` resolves once ffmpeg has room for
+ * more input, so capture runs at the encoder's pace instead of buffering a
+ * whole video in memory. If ffmpeg exits early, the next `write` (or `finish`)
+ * rejects with the tail of ffmpeg's stderr in the error message.
+ */
+const STDERR_LIMIT = 64 * 1024;
+const STDERR_LINES = 15;
+
+/**
+ * @param {string} ffmpegPath - ffmpeg binary
+ * @param {object} options - { fps, outputArgs (codec/format args), outputPath }
+ * @returns {object} { write(buffer), finish(), abort() }
+ */
+function createFrameEncoder(ffmpegPath, { fps, outputArgs, outputPath }) {
+    const args = [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-y', // Overwrite output
+        '-f', 'image2pipe',
+        '-c:v', 'png',
+        '-framerate', fps.toString(),
+        '-i', 'pipe:0',
+        ...outputArgs,
+        outputPath
+    ];
+
+    const ffmpegProcess = spawn(ffmpegPath, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    let spawnError = null;
+    let status = null;
+
+    ffmpegProcess.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-STDERR_LIMIT);
+    });
+    // EPIPE once ffmpeg is gone; reported through the exit status instead
+    ffmpegProcess.stdin.on('error', () => {});
+
+    const exited = new Promise((resolve) => {
+        ffmpegProcess.on('error', (error) => {
+            spawnError = error;
+            status = status || { code: null, signal: null };
+            resolve(status);
+        });
+        ffmpegProcess.on('close', (code, signal) => {
+            status = { code, signal };
+            resolve(status);
+        });
+    });
+
+    function failure(message) {
+        if (spawnError) {
+            return new Error(`FFmpeg could not be started: ${spawnError.message}`);
+        }
+        const output = stderr.trim().split('\n').slice(-STDERR_LINES).join('\n');
+        const reason = status.signal ? `signal ${status.signal}` : `code ${status.code}`;
+        return new Error(`${message} (${reason})${output ? `:\n${output}` : ''}`);
+    }
+
+    async function write(frame) {
+        if (status) {
+            throw failure('FFmpeg exited before all frames were written');
+        }
+        if (!ffmpegProcess.stdin.write(frame)) {
+            // Backpressure: wait until ffmpeg has consumed the buffered frames
+            await Promise.race([once(ffmpegProcess.stdin, 'drain').catch(() => {}), exited]);
+            if (status) {
+                throw failure('FFmpeg exited before all frames were written');
+            }
+        }
+    }
+
+    async function finish() {
+        ffmpegProcess.stdin.end();
+        await exited;
+        if (spawnError || status.code !== 0) {
+            throw failure('FFmpeg failed');
+        }
+    }
+
+    // Stop ffmpeg (if still running) and remove the partial output
+    async function abort() {
+        if (!status) {
+            ffmpegProcess.stdin.destroy();
+            ffmpegProcess.kill('SIGKILL');
+        }
+        await exited;
+        await fs.promises.rm(outputPath, { force: true });
+    }
+
+    return {
+        write,
+        finish,
+        abort
+    };
+}
+
+module.exports = {
+    createFrameEncoder
+};
@@ -0,0 +1,94 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PNG encoder for raw pixel buffers
+ * Used for auxiliary render passes that need exact values (16-bit depth, ID masks),
+ * which a screenshot or a color-managed image pipeline would alter.
+ */
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG color types by channel count: gray, gray + alpha, RGB, RGBA
+const COLOR_TYPES = { 1: 0, 2: 4, 3: 2, 4: 6 };
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode raw pixels as a PNG
+ * @param {Buffer} pixels - Rows top to bottom; 16-bit samples are big-endian
+ * @param {object} info - { width, height, channels (1-4), bitDepth (8 or 16) }
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(pixels, { width, height, channels, bitDepth = 8 }) {
+    const colorType = COLOR_TYPES[channels];
+    if (colorType === undefined || (bitDepth !== 8 && bitDepth !== 16)) {
+        throw new Error(`Unsupported PNG layout: ${channels} channels, ${bitDepth}-bit`);
+    }
+
+    const rowBytes = width * channels * (bitDepth / 8);
+    if (pixels.length !== rowBytes * height) {
+        throw new Error(`Pixel buffer is ${pixels.length} bytes, expected ${rowBytes * height}`);
+    }
+
+    // Every scanline starts with filter type 0 (none)
+    const raw = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.writeUInt8(bitDepth, 8);
+    header.writeUInt8(colorType, 9);
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Insert an ancillary chunk right after IHDR (e.g. iTXt metadata)
+ * @param {Buffer} png - PNG file contents
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} New PNG file contents
+ */
+function insertPngChunk(png, type, data) {
+    if (!png.subarray(0, 8).equals(SIGNATURE) || png.toString('ascii', 12, 16) !== 'IHDR') {
+        throw new Error('Not a PNG file');
+    }
+    const afterHeader = 8 + 12 + png.readUInt32BE(8);
+    return Buffer.concat([png.subarray(0, afterHeader), chunk(type, data), png.subarray(afterHeader)]);
+}
+
+module.exports = {
+    encodePng,
+    insertPngChunk
+};
@@ -0,0 +1,91 @@
+const { insertPngChunk } = require('./png');
+
+/**
+ * XMP metadata for rendered images
+ * Embedded as an APP1 segment in JPEG files and as an iTXt chunk in PNG files,
+ * where photo viewers and 360 viewers look for it.
+ */
+const XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/\0';
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Build an XMP packet with the given properties on one rdf:Description
+ * @param {object} namespaces - Prefix -> namespace URI
+ * @param {object} properties - Qualified name (e.g. 'GPano:ProjectionType') -> value
+ * @returns {string}
+ */
+function buildXmp(namespaces, properties) {
+    const xmlns = Object.entries(namespaces)
+        .map(([prefix, uri]) => ` xmlns:${prefix}="${escapeXml(uri)}"`)
+        .join('');
+    const attributes = Object.entries(properties)
+        .map(([name, value]) => `\n      ${name}="${escapeXml(value)}"`)
+        .join('');
+
+    return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n' +
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">\n' +
+        '  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n' +
+        `    <rdf:Description rdf:about=""${xmlns}${attributes}/>\n` +
+        '  </rdf:RDF>\n' +
+        '</x:xmpmeta>\n' +
+        '<?xpacket end="w"?>';
+}
+
+/**
+ * Embed an XMP packet in a JPEG or PNG file
+ * @param {Buffer} image - JPEG or PNG file contents
+ * @param {string} xmp - XMP packet
+ * @returns {Buffer} New file contents
+ */
+function embedXmp(image, xmp) {
+    if (image[0] === 0xff && image[1] === 0xd8) {
+        const payload = Buffer.concat([Buffer.from(XMP_NAMESPACE, 'latin1'), Buffer.from(xmp, 'utf8')]);
+        if (payload.length > 65533) {
+            throw new Error('XMP packet too large for a JPEG segment');
+        }
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(0xffe1, 0);
+        header.writeUInt16BE(payload.length + 2, 2);
+
+        // After SOI and a JFIF APP0 segment, if there is one
+        let offset = 2;
+        if (image[2] === 0xff && image[3] === 0xe0) {
+            offset += 2 + image.readUInt16BE(4);
+        }
+        return Buffer.concat([image.subarray(0, offset), header, payload, image.subarray(offset)]);
+    }
+
+    // iTXt: keyword, null, compression flag + method, empty language and translated keyword
+    const data = Buffer.concat([
+        Buffer.from('XML:com.adobe.xmp\0', 'latin1'),
+        Buffer.from([0, 0, 0, 0]),
+        Buffer.from(xmp, 'utf8')
+    ]);
+    return insertPngChunk(image, 'iTXt', data);
+}
+
+/**
+ * Photo Sphere (GPano) metadata for a full equirectangular panorama
+ * @returns {string} XMP packet
+ */
+function panoramaXmp(width, height) {
+    return buildXmp({ GPano: 'http://ns.google.com/photos/1.0/panorama/' }, {
+        'GPano:ProjectionType': 'equirectangular',
+        'GPano:UsePanoramaViewer': 'True',
+        'GPano:FullPanoWidthPixels': width,
+        'GPano:FullPanoHeightPixels': height,
+        'GPano:CroppedAreaImageWidthPixels': width,
+        'GPano:CroppedAreaImageHeightPixels': height,
+        'GPano:CroppedAreaLeftPixels': 0,
+        'GPano:CroppedAreaTopPixels': 0
+    });
+}
+
+module.exports = {
+    buildXmp,
+    embedXmp,
+    panoramaXmp
+};
@@ -0,0 +1,270 @@
+// Camera specification support shared by the viewer pages.
+// Builds a THREE camera from a normalized spec, or a keyframed camera path
+// (see src/renderer/camera-spec.js).
+// Specs in `bbox` space are relative to the model's normalized bounding box:
+// the origin is the box center and one unit is half of its largest dimension.
+(function () {
+    function toVector3(value) {
+        return new THREE.Vector3(value[0], value[1], value[2]);
+    }
+
+    // Origin and unit length of the normalized bounding box
+    function getBoxFrame(box) {
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        const unit = Math.max(size.x, size.y, size.z) / 2 || 1;
+        const radius = size.length() / 2 || 1;
+        return { center, size, unit, radius };
+    }
+
+    function resolvePoint(value, space, frame) {
+        const point = toVector3(value);
+        if (space === 'bbox') {
+            point.multiplyScalar(frame.unit).add(frame.center);
+        }
+        return point;
+    }
+
+    function resolveLength(value, space, frame) {
+        return space === 'bbox' ? value * frame.unit : value;
+    }
+
+    function createCamera(spec, box, aspect) {
+        const frame = getBoxFrame(box);
+        const position = resolvePoint(spec.position, spec.space, frame);
+        const target = resolvePoint(spec.target, spec.space, frame);
+
+        // Clip planes default to enclosing the whole model from this position
+        const reach = position.distanceTo(frame.center) + frame.radius;
+        const far = spec.far != null ? resolveLength(spec.far, spec.space, frame) : reach * 2;
+        const near = spec.near != null ? resolveLength(spec.near, spec.space, frame) : far / 2000;
+
+        let camera;
+        if (spec.type === 'orthographic') {
+            const frustum = spec.frustum || {};
+            let left, right, top, bottom;
+            if (frustum.left != null) {
+                left = resolveLength(frustum.left, spec.space, frame);
+                right = resolveLength(frustum.right, spec.space, frame);
+                top = resolveLength(frustum.top, spec.space, frame);
+                bottom = resolveLength(frustum.bottom, spec.space, frame);
+            } else {
+                // Default height leaves a small margin around the bounding sphere
+                top = frustum.height != null
+                    ? resolveLength(frustum.height, spec.space, frame) / 2
+                    : frame.radius * 1.1;
+                bottom = -top;
+                right = top * aspect;
+                left = -right;
+            }
+            camera = new THREE.OrthographicCamera(left, right, top, bottom, near, far);
+            camera.userData.fixedFrustum = frustum.left != null;
+        } else {
+            camera = new THREE.PerspectiveCamera(spec.fov, aspect, near, far);
+        }
+
+        camera.up.copy(toVector3(spec.up).normalize());
+        camera.position.copy(position);
+        camera.lookAt(target);
+        camera.updateProjectionMatrix();
+
+        return { camera, target };
+    }
+
+    // Fit the camera to a box along a view direction (from the box center towards
+    // the camera). `sphere` fits the bounding sphere, so the distance is the same
+    // from every angle; `box` fits the eight box corners as seen from this direction.
+    // Padding is a percentage of the fitted extent left free around the model.
+    function fitCamera(camera, box, direction, framing) {
+        const mode = (framing && framing.mode) || 'sphere';
+        const scale = 1 + ((framing && framing.padding != null) ? framing.padding : 10) / 100;
+        const frame = getBoxFrame(box);
+        const aspect = camera.isPerspectiveCamera
+            ? camera.aspect
+            : (camera.right - camera.left) / (camera.top - camera.bottom);
+
+        // View basis: z points from the target towards the camera
+        const basis = new THREE.Matrix4().lookAt(direction, new THREE.Vector3(), camera.up);
+        const axisX = new THREE.Vector3().setFromMatrixColumn(basis, 0);
+        const axisY = new THREE.Vector3().setFromMatrixColumn(basis, 1);
+        const axisZ = new THREE.Vector3().setFromMatrixColumn(basis, 2);
+
+        let extentX = frame.radius;
+        let extentY = frame.radius;
+        let corners = [];
+        if (mode === 'box') {
+            corners = getBoxCorners(box).map(corner => {
+                corner.sub(frame.center);
+                return { x: Math.abs(corner.dot(axisX)), y: Math.abs(corner.dot(axisY)), z: corner.dot(axisZ) };
+            });
+            extentX = Math.max(...corners.map(corner => corner.x));
+            extentY = Math.max(...corners.map(corner => corner.y));
+        }
+
+        let distance;
+        if (camera.isPerspectiveCamera) {
+            const tanV = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+            const tanH = tanV * aspect;
+            if (mode === 'box') {
+                distance = Math.max(...corners.map(corner => corner.z + scale * Math.max(corner.x / tanH, corner.y / tanV)));
+            } else {
+                distance = (frame.radius * scale) / Math.sin(Math.min(Math.atan(tanV), Math.atan(tanH)));
+            }
+        } else {
+            const top = Math.max(extentY, extentX / aspect) * scale;
+            camera.top = top;
+            camera.bottom = -top;
+            camera.right = top * aspect;
+            camera.left = -camera.right;
+            distance = frame.radius * 2;
+        }
+
+        camera.near = Math.max(distance - frame.radius, distance / 100) / 2;
+        camera.far = (distance + frame.radius) * 2;
+        camera.position.copy(frame.center).addScaledVector(axisZ, distance);
+        camera.lookAt(frame.center);
+        camera.updateProjectionMatrix();
+
+        return { target: frame.center, distance };
+    }
+
+    function getBoxCorners(box) {
+        const corners = [];
+        for (const x of [box.min.x, box.max.x]) {
+            for (const y of [box.min.y, box.max.y]) {
+                for (const z of [box.min.z, box.max.z]) {
+                    corners.push(new THREE.Vector3(x, y, z));
+                }
+            }
+        }
+        return corners;
+    }
+
+    // Uniform Catmull-Rom through p1 -> p2, matching THREE.CatmullRomCurve3 ('catmullrom', tension 0.5)
+    function catmullRom(p0, p1, p2, p3, t) {
+        const v0 = (p2 - p0) * 0.5;
+        const v1 = (p3 - p1) * 0.5;
+        const t2 = t * t;
+        return (2 * p1 - 2 * p2 + v0 + v1) * t * t2 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+    }
+
+    // Keyframed camera path (see normalizeCameraPath in src/renderer/camera-spec.js).
+    // Returns { camera, target, apply(time) }; apply poses the camera at a time in seconds,
+    // holding the first and last keyframes outside the path.
+    function createPath(spec, box, aspect) {
+        const frame = getBoxFrame(box);
+        const keyframes = spec.keyframes.map(keyframe => ({
+            time: keyframe.time,
+            position: resolvePoint(keyframe.position, spec.space, frame),
+            target: resolvePoint(keyframe.target, spec.space, frame),
+            fov: keyframe.fov
+        }));
+        const last = keyframes.length - 1;
+        const curves = spec.interpolation === 'catmull-rom' && {
+            position: new THREE.CatmullRomCurve3(keyframes.map(keyframe => keyframe.position), false, 'catmullrom'),
+            target: new THREE.CatmullRomCurve3(keyframes.map(keyframe => keyframe.target), false, 'catmullrom')
+        };
+
+        const camera = new THREE.PerspectiveCamera(keyframes[0].fov, aspect);
+        camera.up.copy(toVector3(spec.up).normalize());
+        const target = new THREE.Vector3();
+
+        function apply(time) {
+            // Segment index and progress through it
+            let index = 0;
+            while (index < last - 1 && time >= keyframes[index + 1].time) {
+                index++;
+            }
+            const from = keyframes[index];
+            const to = keyframes[index + 1];
+            let t = THREE.MathUtils.clamp((time - from.time) / (to.time - from.time), 0, 1);
+
+            if (curves) {
+                const u = (index + t) / last;
+                curves.position.getPoint(u, camera.position);
+                curves.target.getPoint(u, target);
+                // Endpoints are extrapolated the same way as by the curves
+                const fov = (i) => i < 0 ? 2 * keyframes[0].fov - keyframes[1].fov
+                    : i > last ? 2 * keyframes[last].fov - keyframes[last - 1].fov
+                    : keyframes[i].fov;
+                camera.fov = catmullRom(fov(index - 1), fov(index), fov(index + 1), fov(index + 2), t);
+            } else {
+                if (spec.interpolation === 'eased') {
+                    t = THREE.MathUtils.smootherstep(t, 0, 1);
+                }
+                camera.position.lerpVectors(from.position, to.position, t);
+                target.lerpVectors(from.target, to.target, t);
+                camera.fov = THREE.MathUtils.lerp(from.fov, to.fov, t);
+            }
+
+            // Clip planes enclose the whole model from wherever the camera is
+            camera.far = (camera.position.distanceTo(frame.center) + frame.radius) * 2;
+            camera.near = camera.far / 2000;
+            camera.lookAt(target);
+            camera.updateProjectionMatrix();
+            return { camera, target };
+        }
+
+        apply(keyframes[0].time);
+        return { camera, target, apply };
+    }
+
+    // Keep the vertical extent when the viewport changes
+    function updateAspect(camera, aspect) {
+        if (camera.isPerspectiveCamera) {
+            camera.aspect = aspect;
+        } else if (camera.isOrthographicCamera && !camera.userData.fixedFrustum) {
+            const halfWidth = ((camera.top - camera.bottom) / 2) * aspect;
+            const centerX = (camera.left + camera.right) / 2;
+            camera.left = centerX - halfWidth;
+            camera.right = centerX + halfWidth;
+        }
+        camera.updateProjectionMatrix();
+    }
+
+    // Move the camera to one eye of a stereo pair for the next render, `offset` world
+    // units to its right (negative = left), with zero parallax `convergence` units in
+    // front of it. Perspective eyes stay parallel with an off-axis frustum, so there is
+    // no vertical parallax; orthographic views have no depth cue from position alone,
+    // so each eye turns around the convergence point instead.
+    // Returns a function that puts the camera back.
+    function offsetEye(camera, offset, convergence) {
+        camera.updateMatrixWorld();
+        const position = camera.position.clone();
+        const quaternion = camera.quaternion.clone();
+        const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0).normalize();
+        const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1).normalize();
+
+        if (camera.isPerspectiveCamera) {
+            camera.position.addScaledVector(right, offset);
+            // Shift the frustum so the convergence plane lines up in both eyes
+            const elements = camera.projectionMatrix.elements;
+            elements[8] -= (elements[0] * offset) / convergence;
+            camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+        } else {
+            const pivot = position.clone().addScaledVector(camera.getWorldDirection(new THREE.Vector3()), convergence);
+            const angle = Math.atan2(offset, convergence);
+            camera.position.sub(pivot).applyAxisAngle(up, angle).add(pivot);
+            camera.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(up, angle));
+        }
+        camera.updateMatrixWorld();
+
+        return function restore() {
+            camera.position.copy(position);
+            camera.quaternion.copy(quaternion);
+            camera.updateMatrixWorld();
+            camera.updateProjectionMatrix();
+        };
+    }
+
+    window.ViewerCamera = {
+        getBoxFrame,
+        resolvePoint,
+        resolveLength,
+        createCamera,
+        createPath,
+        fitCamera,
+        updateAspect,
+        offsetEye
+    };
+})();
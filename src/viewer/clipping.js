@@ -0,0 +1,203 @@
+// Section planes shared by the viewer pages (see src/renderer/clipping.js).
+// Planes are local clipping planes set on every material of the model, so they
+// also apply to diagnostic shading, material variants, overrides and light shadows.
+// Caps follow the three.js stencil clipping technique: for each capped plane the
+// model's back faces increment and its front faces decrement the stencil buffer,
+// which leaves it non-zero where the plane lies inside a closed mesh; a plane
+// drawn with a not-equal-zero stencil test then fills exactly the cut.
+(function () {
+    const CAP_ROUGHNESS = 0.8;
+
+    function createStencilMaterial(plane, side, operation) {
+        return new THREE.MeshBasicMaterial({
+            side,
+            clippingPlanes: [plane],
+            depthWrite: false,
+            depthTest: false,
+            colorWrite: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            stencilFail: operation,
+            stencilZFail: operation,
+            stencilZPass: operation
+        });
+    }
+
+    // Same geometry, pose and deformation as the source mesh; its matrix is copied every frame
+    function createStencilMesh(source, material, renderOrder) {
+        let mesh;
+        if (source.isSkinnedMesh) {
+            mesh = new THREE.SkinnedMesh(source.geometry, material);
+            mesh.bindMode = source.bindMode;
+            mesh.bind(source.skeleton, source.bindMatrix);
+        } else if (source.isInstancedMesh) {
+            mesh = new THREE.InstancedMesh(source.geometry, material, source.count);
+            mesh.instanceMatrix = source.instanceMatrix;
+        } else {
+            mesh = new THREE.Mesh(source.geometry, material);
+        }
+        if (source.morphTargetInfluences) {
+            mesh.morphTargetInfluences = source.morphTargetInfluences;
+        }
+        mesh.matrixAutoUpdate = false;
+        mesh.frustumCulled = false;
+        mesh.renderOrder = renderOrder;
+        return mesh;
+    }
+
+    function isVisible(object, model) {
+        for (let node = object; node && node !== model; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return true;
+    }
+
+    // Returns { object, update(), setProgress(t), dispose() }; add `object` to the scene.
+    // box: the model's (visible) bounding box, for bboxFraction positions
+    function createClipping(spec, model, box) {
+        const planes = spec.map(() => new THREE.Plane());
+        const caps = new THREE.Group();
+        caps.name = 'clipping-caps';
+
+        const size = box.getSize(new THREE.Vector3()).length();
+        const center = box.getCenter(new THREE.Vector3());
+        const capGeometry = new THREE.PlaneGeometry(size * 2, size * 2);
+        const created = [];
+        const stencils = [];
+        const capMeshes = [];
+        const corners = [];
+        for (let corner = 0; corner < 8; corner++) {
+            corners.push(new THREE.Vector3(
+                corner & 1 ? box.max.x : box.min.x,
+                corner & 2 ? box.max.y : box.min.y,
+                corner & 4 ? box.max.z : box.min.z
+            ));
+        }
+
+        const sources = [];
+        model.traverse((child) => {
+            if (child.isMesh) sources.push(child);
+        });
+
+        spec.forEach((item, index) => {
+            if (!item.cap) return;
+            const plane = planes[index];
+            const renderOrder = index + 1;
+
+            const back = createStencilMaterial(plane, THREE.BackSide, THREE.IncrementWrapStencilOp);
+            const front = createStencilMaterial(plane, THREE.FrontSide, THREE.DecrementWrapStencilOp);
+            created.push(back, front);
+            sources.forEach((source) => {
+                [back, front].forEach((material) => {
+                    const stencil = createStencilMesh(source, material, renderOrder);
+                    stencils.push({ source, stencil });
+                    caps.add(stencil);
+                });
+            });
+
+            // The cap is cut by the other planes only, and clears the stencil for the next one
+            const material = new THREE.MeshStandardMaterial({
+                color: item.cap,
+                metalness: 0,
+                roughness: CAP_ROUGHNESS,
+                side: THREE.DoubleSide,
+                clippingPlanes: planes.filter(other => other !== plane),
+                stencilWrite: true,
+                stencilRef: 0,
+                stencilFunc: THREE.NotEqualStencilFunc,
+                stencilFail: THREE.ReplaceStencilOp,
+                stencilZFail: THREE.ReplaceStencilOp,
+                stencilZPass: THREE.ReplaceStencilOp
+            });
+            created.push(material);
+            const cap = new THREE.Mesh(capGeometry, material);
+            cap.name = `clipping-cap-${index}`;
+            cap.renderOrder = renderOrder + 0.1;
+            cap.onAfterRender = (renderer) => renderer.clearStencil();
+            capMeshes.push({ cap, plane });
+            caps.add(cap);
+        });
+
+        const normal = new THREE.Vector3();
+        const facing = new THREE.Vector3(0, 0, 1);
+        let progress = 1;
+
+        // World-space planes for the current progress of each sweep
+        function updatePlanes() {
+            model.updateWorldMatrix(true, false);
+            const normalMatrix = new THREE.Matrix3().getNormalMatrix(model.matrixWorld);
+            spec.forEach((item, index) => {
+                const position = item.from + (item.to - item.from) * progress;
+                normal.fromArray(item.normal);
+                if (item.by === 'constant') {
+                    // Model units: the plane is set in the model's own space, then moved with it
+                    planes[index].set(normal, position).applyMatrix4(model.matrixWorld, normalMatrix);
+                } else {
+                    normal.applyMatrix3(normalMatrix).normalize();
+                    const distances = corners.map(corner => normal.dot(corner));
+                    const min = Math.min(...distances);
+                    const max = Math.max(...distances);
+                    planes[index].set(normal, -(min + (max - min) * position));
+                }
+            });
+            capMeshes.forEach(({ cap, plane }) => {
+                plane.projectPoint(center, cap.position);
+                // Facing the cut-away side, where the camera looks at the cut from
+                cap.quaternion.setFromUnitVectors(facing, plane.normal.clone().negate());
+            });
+        }
+
+        // Call before every render: materials may have been swapped (shading, variants, ...)
+        // and parts may have moved or been hidden
+        function update() {
+            model.updateMatrixWorld();
+            model.traverse((child) => {
+                if (!child.isMesh) return;
+                (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+                    if (material.clippingPlanes !== planes) {
+                        material.clippingPlanes = planes;
+                        material.clipShadows = true;
+                    }
+                });
+            });
+            stencils.forEach(({ source, stencil }) => {
+                stencil.visible = isVisible(source, model);
+                stencil.matrix.copy(source.matrixWorld);
+                stencil.matrixWorldNeedsUpdate = true;
+            });
+        }
+
+        // Sweeps: 0 = every plane at `from`, 1 = at `to`
+        function setProgress(t) {
+            progress = t;
+            updatePlanes();
+        }
+        updatePlanes();
+
+        function dispose() {
+            model.traverse((child) => {
+                if (!child.isMesh) return;
+                (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+                    if (material.clippingPlanes === planes) {
+                        material.clippingPlanes = null;
+                        material.clipShadows = false;
+                    }
+                });
+            });
+            capGeometry.dispose();
+            created.forEach(material => material.dispose());
+        }
+
+        return {
+            object: caps,
+            planes,
+            update,
+            setProgress,
+            dispose
+        };
+    }
+
+    window.ViewerClipping = {
+        createClipping
+    };
+})();
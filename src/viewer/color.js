@@ -0,0 +1,44 @@
+// Color management shared by the viewer pages.
+// Applies normalized tone mapping, exposure and output color space settings
+// (see src/renderer/color-management.js) to a WebGLRenderer.
+(function () {
+    const DEFAULTS = { toneMapping: 'aces', exposure: 1, outputColorSpace: 'srgb' };
+
+    const toneMappings = () => ({
+        none: THREE.NoToneMapping,
+        linear: THREE.LinearToneMapping,
+        reinhard: THREE.ReinhardToneMapping,
+        aces: THREE.ACESFilmicToneMapping,
+        agx: THREE.AgXToneMapping,
+        neutral: THREE.NeutralToneMapping
+    });
+
+    const colorSpaces = () => ({
+        srgb: THREE.SRGBColorSpace,
+        'srgb-linear': THREE.LinearSRGBColorSpace,
+        'display-p3': THREE.DisplayP3ColorSpace
+    });
+
+    function apply(renderer, settings) {
+        const color = Object.assign({}, DEFAULTS, settings);
+        const toneMapping = toneMappings()[color.toneMapping];
+        const outputColorSpace = colorSpaces()[color.outputColorSpace];
+
+        if (toneMapping === undefined) {
+            throw new Error(`Unknown tone mapping: ${color.toneMapping}`);
+        }
+        if (outputColorSpace === undefined) {
+            throw new Error(`Unknown output color space: ${color.outputColorSpace}`);
+        }
+
+        renderer.toneMapping = toneMapping;
+        renderer.toneMappingExposure = color.exposure;
+        renderer.outputColorSpace = outputColorSpace;
+        return color;
+    }
+
+    window.ViewerColor = {
+        DEFAULTS,
+        apply
+    };
+})();
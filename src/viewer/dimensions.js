@@ -0,0 +1,202 @@
+// Dimension and measurement overlay shared by the viewer pages (see src/renderer/dimensions.js).
+// Lines and labels are SVG over the canvas, redrawn from the camera after every
+// render, so the screenshot captures them as crisp vectors at output resolution.
+// Positions come from the camera's projection, view offset included, so tiles of
+// a large render each draw their part of the overlay.
+(function () {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Bounding box edges along each axis; corner bits are x, y, z (0 = min, 1 = max).
+    // Lower edges come first, so they win ties (e.g. the bottom edge in a front view)
+    const AXIS_EDGES = [
+        [[0, 1], [4, 5], [2, 3], [6, 7]],
+        [[0, 2], [1, 3], [4, 6], [5, 7]],
+        [[0, 4], [1, 5], [2, 6], [3, 7]]
+    ];
+
+    function findNode(model, name) {
+        const node = model.getObjectByName(THREE.PropertyBinding.sanitizeNodeName(name));
+        if (!node) {
+            throw new Error(`Dimensions: node "${name}" not found`);
+        }
+        return node;
+    }
+
+    function escapeXml(text) {
+        return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    // Light halo behind dark text, dark behind light, so labels read over any model
+    function haloColor(color) {
+        const value = new THREE.Color(color);
+        return 0.2126 * value.r + 0.7152 * value.g + 0.0722 * value.b > 0.5 ? '#000000' : '#ffffff';
+    }
+
+    // Rough width of a label in bold Arial, for placing and skipping labels
+    function textWidth(text, fontSize) {
+        return text.length * fontSize * 0.6;
+    }
+
+    function formatLength(length, spec) {
+        return `${(length * spec.unitScale).toFixed(spec.precision)} ${spec.units}`;
+    }
+
+    // Returns { update(camera), measure(), dispose() }
+    // getBox: () => world bounding box of what is shown (see ViewerParts.boundingBox)
+    function createOverlay(container, spec, model, getBox) {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('id', 'dimensions');
+        svg.style.cssText = 'position: absolute; left: 0; top: 0; width: 100%; height: 100%; pointer-events: none; z-index: 50;';
+        container.appendChild(svg);
+
+        const pairs = spec.measurements.map(measurement => ({
+            ...measurement,
+            fromNode: findNode(model, measurement.from),
+            toNode: findNode(model, measurement.to)
+        }));
+        const halo = haloColor(spec.color);
+
+        // Lengths in glTF units; the viewer may have rescaled the model to fit the view
+        function measure() {
+            const scale = model.scale.x;
+            model.updateMatrixWorld();
+            const size = getBox().getSize(new THREE.Vector3()).divideScalar(scale);
+            return {
+                units: spec.units,
+                size: spec.box ? size.toArray().map(value => Number((value * spec.unitScale).toFixed(spec.precision))) : null,
+                measurements: pairs.map(pair => ({
+                    from: pair.from,
+                    to: pair.to,
+                    label: pair.label,
+                    length: Number((pair.fromNode.getWorldPosition(new THREE.Vector3())
+                        .distanceTo(pair.toNode.getWorldPosition(new THREE.Vector3())) / scale * spec.unitScale).toFixed(spec.precision))
+                }))
+            };
+        }
+
+        function update(camera) {
+            const width = window.innerWidth;
+            const height = window.innerHeight;
+            // Sized against the whole image, not the tile being rendered
+            const view = camera.view && camera.view.enabled ? camera.view : null;
+            const fontSize = spec.fontSize || Math.max(12, Math.round(Math.min(view ? view.fullWidth : width, view ? view.fullHeight : height) / 45));
+            const stroke = Math.max(1, fontSize / 12);
+            const gap = fontSize * 1.5;
+            const scale = model.scale.x;
+            const shapes = [];
+
+            camera.updateMatrixWorld();
+            // Screen position in pixels, or null behind the camera
+            const project = (point) => {
+                const ndc = point.clone().project(camera);
+                if (ndc.z < -1 || ndc.z > 1) return null;
+                return new THREE.Vector2((ndc.x + 1) / 2 * width, (1 - ndc.y) / 2 * height);
+            };
+
+            // Label beside `point`, `out` of a line, clear of it whatever the line's angle
+            const label = (point, out, text) => {
+                const clearance = Math.abs(out.x) * textWidth(text, fontSize) / 2 + Math.abs(out.y) * fontSize / 2;
+                const position = point.clone().addScaledVector(out, fontSize * 0.4 + clearance);
+                shapes.push(
+                    `<text x="${position.x.toFixed(1)}" y="${position.y.toFixed(1)}" text-anchor="middle" dominant-baseline="middle" ` +
+                    `stroke="${halo}" stroke-width="${(fontSize / 5).toFixed(1)}" stroke-linejoin="round" paint-order="stroke">${escapeXml(text)}</text>`
+                );
+            };
+
+            // Dimension line next to the a-b edge, pushed `offset` pixels along `out`
+            const dimensionLine = (a, b, out, offset, text) => {
+                const start = a.clone().addScaledVector(out, offset);
+                const end = b.clone().addScaledVector(out, offset);
+                const along = end.clone().sub(start).normalize();
+                const tick = fontSize * 0.4;
+                [[a, start], [b, end]].forEach(([from, to]) => {
+                    const extension = to.clone().addScaledVector(out, tick);
+                    shapes.push(`<line x1="${from.x.toFixed(1)}" y1="${from.y.toFixed(1)}" x2="${extension.x.toFixed(1)}" y2="${extension.y.toFixed(1)}" stroke-opacity="0.5"/>`);
+                });
+                shapes.push(`<line x1="${start.x.toFixed(1)}" y1="${start.y.toFixed(1)}" x2="${end.x.toFixed(1)}" y2="${end.y.toFixed(1)}"/>`);
+                // Architectural ticks at both ends
+                [start, end].forEach((point) => {
+                    const slash = along.clone().add(out).normalize().multiplyScalar(tick);
+                    shapes.push(`<line x1="${(point.x - slash.x).toFixed(1)}" y1="${(point.y - slash.y).toFixed(1)}" x2="${(point.x + slash.x).toFixed(1)}" y2="${(point.y + slash.y).toFixed(1)}"/>`);
+                });
+                label(start.clone().add(end).multiplyScalar(0.5), out, text);
+            };
+
+            if (spec.box) {
+                const box = getBox();
+                const corners = [];
+                for (let corner = 0; corner < 8; corner++) {
+                    corners.push(new THREE.Vector3(
+                        corner & 1 ? box.max.x : box.min.x,
+                        corner & 2 ? box.max.y : box.min.y,
+                        corner & 4 ? box.max.z : box.min.z
+                    ));
+                }
+                const screen = corners.map(project);
+                const center = project(box.getCenter(new THREE.Vector3()));
+                const depth = corners.map(corner => corner.distanceTo(camera.position));
+
+                AXIS_EDGES.forEach((edges, axis) => {
+                    const text = formatLength((box.max.getComponent(axis) - box.min.getComponent(axis)) / scale, spec);
+                    // Edges seen nearly end-on (e.g. depth in a front view) are too short to label
+                    const minLength = textWidth(text, fontSize) + fontSize;
+                    // The outermost edge on screen, nearest to the camera on ties
+                    let best = null;
+                    edges.forEach(([i, j]) => {
+                        const a = screen[i];
+                        const b = screen[j];
+                        if (!a || !b || !center || a.distanceTo(b) < minLength) return;
+                        const distance = a.clone().add(b).multiplyScalar(0.5).distanceTo(center);
+                        const near = depth[i] + depth[j];
+                        if (!best || distance > best.distance + 1 || (Math.abs(distance - best.distance) <= 1 && near < best.near)) {
+                            best = { a, b, distance, near };
+                        }
+                    });
+                    if (!best) return;
+
+                    const direction = best.b.clone().sub(best.a);
+                    const out = new THREE.Vector2(-direction.y, direction.x).normalize();
+                    if (out.dot(best.a.clone().add(best.b).multiplyScalar(0.5).sub(center)) < 0) {
+                        out.negate();
+                    }
+                    dimensionLine(best.a, best.b, out, gap, text);
+                });
+            }
+
+            pairs.forEach((pair) => {
+                const from = pair.fromNode.getWorldPosition(new THREE.Vector3());
+                const to = pair.toNode.getWorldPosition(new THREE.Vector3());
+                const a = project(from);
+                const b = project(to);
+                if (!a || !b) return;
+
+                const text = formatLength(from.distanceTo(to) / scale, spec);
+                shapes.push(`<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}"/>`);
+                [a, b].forEach((point) => {
+                    shapes.push(`<circle cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="${(stroke * 2.5).toFixed(1)}" fill="${spec.color}"/>`);
+                });
+
+                // Label beside the middle of the line, on its upper side
+                const direction = b.clone().sub(a);
+                const out = direction.lengthSq() > 0 ? new THREE.Vector2(direction.y, -direction.x).normalize() : new THREE.Vector2(0, -1);
+                if (out.y > 0) out.negate();
+                label(a.clone().add(b).multiplyScalar(0.5), out, pair.label ? `${pair.label}: ${text}` : text);
+            });
+
+            svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+            svg.innerHTML =
+                `<g stroke="${spec.color}" stroke-width="${stroke.toFixed(2)}" stroke-linecap="round" fill="${spec.color}" ` +
+                `font-family="Arial, sans-serif" font-size="${fontSize}" font-weight="600">${shapes.join('')}</g>`;
+        }
+
+        function dispose() {
+            svg.remove();
+        }
+
+        return { update, measure, dispose };
+    }
+
+    window.ViewerDimensions = {
+        createOverlay
+    };
+})();
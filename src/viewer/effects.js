@@ -0,0 +1,123 @@
+// Screen-space post-processing shared by the viewer pages.
+// Builds an EffectComposer chain from a normalized effects spec
+// (see src/renderer/effects.js):
+//   render (or SSAA) -> SSAO -> bloom -> outline -> output -> SMAA/FXAA
+// OutputPass applies the renderer's tone mapping and color space (ViewerColor),
+// so FXAA and SMAA run after it on display-referred colors.
+(function () {
+    function findNodes(model, names) {
+        return names.map((name) => {
+            const node = model.getObjectByName(THREE.PropertyBinding.sanitizeNodeName(name));
+            if (!node) {
+                throw new Error(`Outline node "${name}" not found`);
+            }
+            return node;
+        });
+    }
+
+    // SSAOPass copies the camera's near/far and projection when constructed;
+    // framing changes them for every view, so they are refreshed each frame
+    function syncSsaoCamera(pass) {
+        const camera = pass.camera;
+        pass.ssaoMaterial.uniforms.cameraNear.value = camera.near;
+        pass.ssaoMaterial.uniforms.cameraFar.value = camera.far;
+        pass.ssaoMaterial.uniforms.cameraProjectionMatrix.value.copy(camera.projectionMatrix);
+        pass.ssaoMaterial.uniforms.cameraInverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
+        pass.depthRenderMaterial.uniforms.cameraNear.value = camera.near;
+        pass.depthRenderMaterial.uniforms.cameraFar.value = camera.far;
+    }
+
+    // Returns { render(), setSize(width, height), dispose() }. Shaders depend on the
+    // camera type, so build a new composer when the active camera changes.
+    function createComposer(renderer, scene, camera, model, spec, transparent = false) {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const pixelRatio = renderer.getPixelRatio();
+        const antialias = spec.antialias || {};
+
+        const composer = new THREE.EffectComposer(renderer);
+        composer.setPixelRatio(pixelRatio);
+        composer.setSize(width, height);
+
+        if (antialias.mode === 'ssaa') {
+            // Renders the scene once per sample with a jittered camera
+            const ssaaPass = new THREE.SSAARenderPass(scene, camera, 0x000000, transparent ? 0 : 1);
+            ssaaPass.sampleLevel = Math.log2(antialias.samples);
+            composer.addPass(ssaaPass);
+        } else {
+            composer.addPass(new THREE.RenderPass(scene, camera));
+        }
+
+        let ssaoPass = null;
+        if (spec.ssao) {
+            const frame = ViewerCamera.getBoxFrame(new THREE.Box3().setFromObject(model));
+            ssaoPass = new THREE.SSAOPass(scene, camera, width, height);
+            ssaoPass.kernelRadius = spec.ssao.radius * frame.unit;
+            ssaoPass.minDistance = spec.ssao.minDistance;
+            ssaoPass.maxDistance = spec.ssao.maxDistance;
+            composer.addPass(ssaoPass);
+        }
+
+        if (spec.bloom) {
+            composer.addPass(new THREE.UnrealBloomPass(
+                new THREE.Vector2(width, height),
+                spec.bloom.strength,
+                spec.bloom.radius,
+                spec.bloom.threshold
+            ));
+        }
+
+        if (spec.outline) {
+            const outlinePass = new THREE.OutlinePass(
+                new THREE.Vector2(width, height),
+                scene,
+                camera,
+                findNodes(model, spec.outline.nodes)
+            );
+            outlinePass.visibleEdgeColor.set(spec.outline.color);
+            outlinePass.hiddenEdgeColor.set(spec.outline.hiddenColor);
+            outlinePass.edgeThickness = spec.outline.thickness;
+            outlinePass.edgeStrength = spec.outline.strength;
+            composer.addPass(outlinePass);
+        }
+
+        composer.addPass(new THREE.OutputPass());
+
+        let fxaaPass = null;
+        if (antialias.mode === 'fxaa') {
+            fxaaPass = new THREE.ShaderPass(THREE.FXAAShader);
+            composer.addPass(fxaaPass);
+        } else if (antialias.mode === 'smaa') {
+            composer.addPass(new THREE.SMAAPass(width * pixelRatio, height * pixelRatio));
+        }
+
+        function setSize(nextWidth, nextHeight) {
+            composer.setSize(nextWidth, nextHeight);
+            if (fxaaPass) {
+                fxaaPass.material.uniforms.resolution.value.set(
+                    1 / (nextWidth * pixelRatio),
+                    1 / (nextHeight * pixelRatio)
+                );
+            }
+        }
+        setSize(width, height);
+
+        return {
+            render() {
+                if (ssaoPass) {
+                    syncSsaoCamera(ssaoPass);
+                }
+                composer.render();
+            },
+            setSize,
+            dispose() {
+                composer.passes.forEach(pass => pass.dispose());
+                composer.dispose();
+            }
+        };
+    }
+
+    window.ViewerEffects = {
+        createComposer
+    };
+})();
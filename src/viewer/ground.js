@@ -0,0 +1,183 @@
+// Shadow-catcher ground plane shared by the viewer pages.
+// Builds a shadow-only plane under the model from a normalized ground spec
+// (see src/renderer/ground.js). Contact shadows follow the three.js contact
+// shadow technique: the scene is rendered from below with a depth material that
+// writes black with depth-based alpha, then blurred twice. Everything outside the
+// shadows stays fully transparent, so they survive transparent screenshots.
+(function () {
+    const SHADOW_RESOLUTION = 512;
+
+    function createDepthMaterial() {
+        const material = new THREE.MeshDepthMaterial();
+        material.onBeforeCompile = (shader) => {
+            shader.fragmentShader = shader.fragmentShader.replace(
+                'gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );',
+                'gl_FragColor = vec4( vec3( 0.0 ), 1.0 - fragCoordZ );'
+            );
+        };
+        material.depthTest = false;
+        material.depthWrite = false;
+        return material;
+    }
+
+    function createRenderTarget() {
+        const target = new THREE.WebGLRenderTarget(SHADOW_RESOLUTION, SHADOW_RESOLUTION);
+        target.texture.generateMipmaps = false;
+        return target;
+    }
+
+    // Contact shadows: returns the shadow plane plus an update(renderer, scene) hook
+    function createContactShadows(spec, width, depth, height) {
+        const group = new THREE.Group();
+        const renderTarget = createRenderTarget();
+        const renderTargetBlur = createRenderTarget();
+        const geometry = new THREE.PlaneGeometry(width, depth).rotateX(Math.PI / 2);
+
+        const plane = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            map: renderTarget.texture,
+            opacity: spec.opacity,
+            transparent: true,
+            depthWrite: false
+        }));
+        plane.name = 'contact-shadows';
+        // The shadow camera looks up, so its image is mirrored on the plane
+        plane.scale.y = -1;
+        plane.renderOrder = 1;
+        group.add(plane);
+
+        const blurPlane = new THREE.Mesh(geometry);
+        blurPlane.visible = false;
+        group.add(blurPlane);
+
+        const shadowCamera = new THREE.OrthographicCamera(-width / 2, width / 2, depth / 2, -depth / 2, 0, height);
+        shadowCamera.rotation.x = Math.PI / 2;
+        group.add(shadowCamera);
+
+        const depthMaterial = createDepthMaterial();
+        const horizontalBlur = new THREE.ShaderMaterial(THREE.HorizontalBlurShader);
+        const verticalBlur = new THREE.ShaderMaterial(THREE.VerticalBlurShader);
+        horizontalBlur.depthTest = false;
+        verticalBlur.depthTest = false;
+
+        function blurShadow(renderer, amount) {
+            blurPlane.visible = true;
+
+            blurPlane.material = horizontalBlur;
+            horizontalBlur.uniforms.tDiffuse.value = renderTarget.texture;
+            horizontalBlur.uniforms.h.value = amount / 256;
+            renderer.setRenderTarget(renderTargetBlur);
+            renderer.render(blurPlane, shadowCamera);
+
+            blurPlane.material = verticalBlur;
+            verticalBlur.uniforms.tDiffuse.value = renderTargetBlur.texture;
+            verticalBlur.uniforms.v.value = amount / 256;
+            renderer.setRenderTarget(renderTarget);
+            renderer.render(blurPlane, shadowCamera);
+
+            blurPlane.visible = false;
+        }
+
+        // Re-rendered every frame, so animated models keep matching shadows
+        function update(renderer, scene, ground) {
+            const background = scene.background;
+            const clearAlpha = renderer.getClearAlpha();
+            const shadowMapUpdate = renderer.shadowMap.autoUpdate;
+
+            scene.background = null;
+            scene.overrideMaterial = depthMaterial;
+            ground.visible = false;
+            renderer.setClearAlpha(0);
+            // Light shadow maps are not needed for the depth pass
+            renderer.shadowMap.autoUpdate = false;
+
+            renderer.setRenderTarget(renderTarget);
+            renderer.render(scene, shadowCamera);
+            scene.overrideMaterial = null;
+
+            if (spec.blur > 0) {
+                blurShadow(renderer, spec.blur);
+                // A second, lighter pass removes the artifacts of the first
+                blurShadow(renderer, spec.blur * 0.4);
+            }
+
+            renderer.setRenderTarget(null);
+            renderer.setClearAlpha(clearAlpha);
+            renderer.shadowMap.autoUpdate = shadowMapUpdate;
+            scene.background = background;
+            ground.visible = true;
+        }
+
+        function dispose() {
+            renderTarget.dispose();
+            renderTargetBlur.dispose();
+            geometry.dispose();
+            plane.material.dispose();
+            depthMaterial.dispose();
+            horizontalBlur.dispose();
+            verticalBlur.dispose();
+        }
+
+        // Section planes (see clipping.js): only what is left of the model casts contact shadows
+        function setClippingPlanes(planes) {
+            depthMaterial.clippingPlanes = planes;
+        }
+
+        return { group, update, setClippingPlanes, dispose };
+    }
+
+    // Shadow-only plane that catches shadows from shadow-casting lights
+    function createShadowCatcher(spec, width, depth) {
+        const geometry = new THREE.PlaneGeometry(width, depth).rotateX(-Math.PI / 2);
+        const plane = new THREE.Mesh(geometry, new THREE.ShadowMaterial({
+            opacity: spec.opacity,
+            depthWrite: false
+        }));
+        plane.name = 'shadow-catcher';
+        plane.receiveShadow = true;
+
+        return {
+            group: plane,
+            dispose() {
+                geometry.dispose();
+                plane.material.dispose();
+            }
+        };
+    }
+
+    // Returns { object, update(renderer, scene), setClippingPlanes(planes), dispose() }; add `object` to the scene
+    function createGround(spec, box) {
+        const frame = ViewerCamera.getBoxFrame(box);
+        const extent = Math.max(frame.size.x, frame.size.z, frame.unit) * spec.size;
+        const height = Math.max(frame.size.y, frame.unit);
+
+        const ground = new THREE.Group();
+        ground.name = 'ground';
+        ground.position.set(frame.center.x, box.min.y, frame.center.z);
+
+        const parts = [];
+        if (spec.shadows === 'contact' || spec.shadows === 'both') {
+            parts.push(createContactShadows(spec, extent, extent, height));
+        }
+        if (spec.shadows === 'cast' || spec.shadows === 'both') {
+            parts.push(createShadowCatcher(spec, extent, extent));
+        }
+        parts.forEach(part => ground.add(part.group));
+
+        return {
+            object: ground,
+            update(renderer, scene) {
+                parts.forEach(part => part.update && part.update(renderer, scene, ground));
+            },
+            setClippingPlanes(planes) {
+                parts.forEach(part => part.setClippingPlanes && part.setClippingPlanes(planes));
+            },
+            dispose() {
+                parts.forEach(part => part.dispose());
+            }
+        };
+    }
+
+    window.ViewerGround = {
+        createGround
+    };
+})();
@@ -0,0 +1,97 @@
+// Declarative lighting rigs shared by the viewer pages.
+// Builds THREE lights from a normalized rig (see src/renderer/lighting-rigs.js);
+// positions in `bbox` space are resolved with ViewerCamera (src/viewer/camera.js).
+(function () {
+    let areaLightsReady = false;
+
+    // Fit a shadow camera around the model as seen from the light
+    function fitShadowCamera(light, frame) {
+        const shadowCamera = light.shadow.camera;
+        const distance = light.position.distanceTo(frame.center);
+
+        if (shadowCamera.isOrthographicCamera) {
+            const extent = frame.radius * 1.2;
+            shadowCamera.left = -extent;
+            shadowCamera.right = extent;
+            shadowCamera.top = extent;
+            shadowCamera.bottom = -extent;
+        }
+        shadowCamera.near = Math.max(distance - frame.radius * 2, distance / 100);
+        shadowCamera.far = distance + frame.radius * 2;
+        shadowCamera.updateProjectionMatrix();
+    }
+
+    function createLight(spec) {
+        const color = new THREE.Color(spec.color);
+
+        switch (spec.type) {
+            case 'ambient':
+                return new THREE.AmbientLight(color, spec.intensity);
+            case 'hemisphere':
+                return new THREE.HemisphereLight(color, new THREE.Color(spec.groundColor), spec.intensity);
+            case 'directional':
+                return new THREE.DirectionalLight(color, spec.intensity);
+            case 'point':
+                return new THREE.PointLight(color, spec.intensity, spec.distance, spec.decay);
+            case 'spot':
+                return new THREE.SpotLight(
+                    color,
+                    spec.intensity,
+                    spec.distance,
+                    THREE.MathUtils.degToRad(spec.angle),
+                    spec.penumbra,
+                    spec.decay
+                );
+            case 'area':
+                if (!areaLightsReady) {
+                    THREE.RectAreaLightUniformsLib.init();
+                    areaLightsReady = true;
+                }
+                return new THREE.RectAreaLight(color, spec.intensity, spec.width, spec.height);
+            default:
+                throw new Error(`Unknown light type: ${spec.type}`);
+        }
+    }
+
+    function buildRig(rig, box) {
+        const frame = ViewerCamera.getBoxFrame(box);
+        const group = new THREE.Group();
+        group.name = 'lighting-rig';
+
+        rig.lights.forEach((spec, index) => {
+            const light = createLight(spec);
+            light.name = spec.name || `${spec.type}-${index}`;
+
+            if (spec.position) {
+                light.position.copy(ViewerCamera.resolvePoint(spec.position, spec.space, frame));
+            }
+
+            if (spec.target) {
+                const target = ViewerCamera.resolvePoint(spec.target, spec.space, frame);
+                if (light.isRectAreaLight) {
+                    light.lookAt(target);
+                } else {
+                    light.target.position.copy(target);
+                    group.add(light.target);
+                }
+            }
+
+            if (spec.castShadow) {
+                light.castShadow = true;
+                light.shadow.mapSize.set(spec.shadow.mapSize, spec.shadow.mapSize);
+                light.shadow.bias = spec.shadow.bias;
+                light.shadow.normalBias = spec.shadow.normalBias;
+                light.shadow.radius = spec.shadow.radius;
+                fitShadowCamera(light, frame);
+            }
+
+            group.add(light);
+        });
+
+        return group;
+    }
+
+    window.ViewerLighting = {
+        buildRig
+    };
+})();
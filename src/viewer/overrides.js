@@ -0,0 +1,118 @@
+// Material overrides shared by the viewer pages (see src/renderer/material-overrides.js).
+// Material targets change the shared material in place, so every mesh using it
+// follows; node targets first give the node's meshes their own copies, so other
+// nodes sharing the material keep it unchanged.
+(function () {
+    const textures = new Map(); // url -> Promise<THREE.Texture>
+
+    // Textures follow glTF conventions: UV origin top left, sRGB color, repeat wrapping
+    function loadTexture(url) {
+        if (!textures.has(url)) {
+            textures.set(url, new THREE.TextureLoader().loadAsync(url).then((texture) => {
+                texture.flipY = false;
+                texture.colorSpace = THREE.SRGBColorSpace;
+                texture.wrapS = THREE.RepeatWrapping;
+                texture.wrapT = THREE.RepeatWrapping;
+                return texture;
+            }));
+        }
+        return textures.get(url);
+    }
+
+    function materialsOf(mesh) {
+        return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    }
+
+    // Copies are marked so applying the overrides again does not copy them again
+    function ownMaterials(mesh) {
+        const own = materialsOf(mesh).map((material) => {
+            if (material.userData.overrideCopy) {
+                return material;
+            }
+            const copy = material.clone();
+            copy.userData.overrideCopy = true;
+            return copy;
+        });
+        mesh.material = Array.isArray(mesh.material) ? own : own[0];
+        return own;
+    }
+
+    function findMaterials(model, override, strict) {
+        const found = new Set();
+        if (override.target === 'material') {
+            model.traverse((child) => {
+                if (child.isMesh) {
+                    materialsOf(child).filter(material => material.name === override.name).forEach(material => found.add(material));
+                }
+            });
+            if (found.size === 0 && strict) {
+                throw new Error(`Material override: material "${override.name}" not found`);
+            }
+        } else {
+            const node = model.getObjectByName(THREE.PropertyBinding.sanitizeNodeName(override.name));
+            if (!node) {
+                throw new Error(`Material override: node "${override.name}" not found`);
+            }
+            node.traverse((child) => {
+                if (child.isMesh) {
+                    ownMaterials(child).forEach(material => found.add(material));
+                }
+            });
+            if (found.size === 0) {
+                throw new Error(`Material override: node "${override.name}" has no meshes`);
+            }
+        }
+        return found;
+    }
+
+    // A new map keeps the UV transform and channel of the one it replaces
+    function replaceMap(material, texture) {
+        const previous = material.map;
+        let map = texture;
+        if (previous) {
+            map = texture.clone();
+            map.offset.copy(previous.offset);
+            map.repeat.copy(previous.repeat);
+            map.center.copy(previous.center);
+            map.rotation = previous.rotation;
+            map.channel = previous.channel;
+            map.wrapS = previous.wrapS;
+            map.wrapT = previous.wrapT;
+        }
+        material.map = map;
+        material.needsUpdate = true;
+    }
+
+    // Properties a material type does not have (e.g. metalness on unlit materials) are skipped
+    function setProperties(material, override, texture) {
+        if (override.baseColor && material.color) {
+            material.color.set(override.baseColor);
+        }
+        if (override.metalness !== null && material.metalness !== undefined) {
+            material.metalness = override.metalness;
+        }
+        if (override.roughness !== null && material.roughness !== undefined) {
+            material.roughness = override.roughness;
+        }
+        if (override.emissive && material.emissive) {
+            material.emissive.set(override.emissive);
+        }
+        if (texture && material.map !== undefined) {
+            replaceMap(material, texture);
+        }
+    }
+
+    // Apply overrides in order; rejects on the first missing target. Pass strict = false
+    // when a material may be in use in some material variants only.
+    async function apply(model, overrides, strict = true) {
+        for (const override of overrides) {
+            const texture = override.map ? await loadTexture(override.map.url) : null;
+            findMaterials(model, override, strict).forEach(material => setProperties(material, override, texture));
+        }
+        return overrides.length;
+    }
+
+    window.ViewerOverrides = {
+        apply
+    };
+})();
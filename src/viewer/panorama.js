@@ -0,0 +1,177 @@
+// 360 capture shared by the viewer pages (see src/renderer/panorama.js).
+// The scene is rendered once into a cube map from the capture point (linear, half
+// float), then reprojected onto the canvas one square region at a time: a region
+// of the equirectangular panorama or one cube face. Tone mapping and the output
+// color space are applied by the reprojection, exactly as for a regular render.
+// Stereo panoramas (omni-directional stereo) are drawn in vertical slices, each
+// from a cube map captured with the eye moved sideways to that slice's heading.
+(function () {
+    const FACES = ['+x', '-x', '+y', '-y', '+z', '-z'];
+    const STEREO_SLICES = 48;
+
+    const vertexShader = /* glsl */`
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+    `;
+
+    // uv is in image orientation here: (0, 0) top left
+    const fragmentShader = /* glsl */`
+        #define PI 3.141592653589793
+
+        uniform samplerCube cubeMap;
+        uniform int projection; // 0 = equirectangular, 1 = cube face
+        uniform int face;
+        uniform vec4 region; // x, y, width, height of the drawn region in image uv
+        uniform vec2 slice; // image u range drawn by this pass
+        uniform float heading;
+        varying vec2 vUv;
+
+        vec3 faceDirection(int index, float a, float b) {
+            if (index == 0) return vec3(1.0, -b, -a);
+            if (index == 1) return vec3(-1.0, -b, a);
+            if (index == 2) return vec3(a, 1.0, b);
+            if (index == 3) return vec3(a, -1.0, -b);
+            if (index == 4) return vec3(a, -b, 1.0);
+            return vec3(-a, -b, -1.0);
+        }
+
+        void main() {
+            vec2 uv = region.xy + vec2(vUv.x, 1.0 - vUv.y) * region.zw;
+            if (uv.x < slice.x || uv.x >= slice.y) discard;
+            vec3 direction;
+            if (projection == 0) {
+                // Image center looks along -Z turned by heading; u grows to the right
+                float longitude = (uv.x - 0.5) * 2.0 * PI + heading;
+                float latitude = (0.5 - uv.y) * PI;
+                direction = vec3(sin(longitude) * cos(latitude), sin(latitude), -cos(longitude) * cos(latitude));
+            } else {
+                direction = faceDirection(face, uv.x * 2.0 - 1.0, uv.y * 2.0 - 1.0);
+            }
+            gl_FragColor = textureCube(cubeMap, direction);
+
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
+        }
+    `;
+
+    // Returns { position, draw(view), dispose() }
+    // spec: { position: THREE.Vector3 (world), faceSize, near, far, heading (degrees),
+    //         eyeOffset (world units to the right of the viewing direction; 0 or omitted = mono) }
+    function createPanorama(renderer, scene, spec) {
+        const target = new THREE.WebGLCubeRenderTarget(spec.faceSize, {
+            type: THREE.HalfFloatType,
+            generateMipmaps: false
+        });
+        const cubeCamera = new THREE.CubeCamera(spec.near, spec.far, target);
+        const heading = THREE.MathUtils.degToRad(spec.heading || 0);
+        const eyeOffset = spec.eyeOffset || 0;
+        let captured = false;
+        let drawn = null;
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                cubeMap: { value: target.texture },
+                projection: { value: 0 },
+                face: { value: 0 },
+                region: { value: new THREE.Vector4(0, 0, 1, 1) },
+                slice: { value: new THREE.Vector2(0, 1) },
+                heading: { value: heading }
+            },
+            vertexShader,
+            fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+        const quadScene = new THREE.Scene();
+        quadScene.add(quad);
+        const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+        function capture(position) {
+            cubeCamera.position.copy(position);
+            cubeCamera.updateMatrixWorld(true);
+            cubeCamera.update(renderer, scene);
+        }
+
+        // Image u range [from, to) drawn from one cube map
+        function drawSlice(from, to) {
+            material.uniforms.slice.value.set(from, to);
+            renderer.setRenderTarget(null);
+            renderer.render(quadScene, quadCamera);
+        }
+
+        // Each slice is seen from the eye position for its center heading: the
+        // eye sits to the right (or left) of the horizontal viewing direction
+        function drawStereo(region) {
+            const autoClear = renderer.autoClear;
+            renderer.setRenderTarget(null);
+            renderer.clear();
+            renderer.autoClear = false;
+            try {
+                for (let index = 0; index < STEREO_SLICES; index++) {
+                    const from = index / STEREO_SLICES;
+                    const to = (index + 1) / STEREO_SLICES;
+                    if (to <= region[0] || from >= region[0] + region[2]) {
+                        continue;
+                    }
+                    const longitude = ((from + to) / 2 - 0.5) * 2 * Math.PI + heading;
+                    const right = new THREE.Vector3(Math.cos(longitude), 0, Math.sin(longitude));
+                    capture(spec.position.clone().addScaledVector(right, eyeOffset));
+                    drawSlice(from, to);
+                }
+            } finally {
+                renderer.autoClear = autoClear;
+            }
+        }
+
+        // view: { projection: 'equirectangular', region: [x, y, width, height] } or { projection: 'cube', face: '+x' }
+        // The canvas keeps its contents between frames, so each view is drawn once
+        function draw(view) {
+            if (view === drawn) {
+                return;
+            }
+            drawn = view;
+            
+            if (view.projection === 'equirectangular' && eyeOffset !== 0) {
+                material.uniforms.projection.value = 0;
+                material.uniforms.region.value.fromArray(view.region);
+                drawStereo(view.region);
+                return;
+            }
+            
+            if (!captured) {
+                capture(spec.position);
+                captured = true;
+            }
+            if (view.projection === 'cube') {
+                const face = FACES.indexOf(view.face);
+                if (face < 0) {
+                    throw new Error(`Unknown cube face: ${view.face}`);
+                }
+                material.uniforms.projection.value = 1;
+                material.uniforms.face.value = face;
+                material.uniforms.region.value.set(0, 0, 1, 1);
+            } else {
+                material.uniforms.projection.value = 0;
+                material.uniforms.region.value.fromArray(view.region);
+            }
+            drawSlice(0, 1);
+        }
+
+        function dispose() {
+            target.dispose();
+            material.dispose();
+            quad.geometry.dispose();
+        }
+
+        return { position: spec.position, draw, dispose };
+    }
+
+    window.ViewerPanorama = {
+        FACES,
+        createPanorama
+    };
+})();
@@ -0,0 +1,100 @@
+// Part visibility and exploded views shared by the viewer pages (see src/renderer/parts.js).
+// Each mesh is an explodable part: it moves away from the model center along the
+// line from the center to its own center, by `factor` times that distance.
+// Offsets are worked out once in world space and stored in each mesh's parent
+// space, so nested meshes move by their own offset, not their parent's twice.
+(function () {
+    function findNode(model, name) {
+        const node = model.getObjectByName(THREE.PropertyBinding.sanitizeNodeName(name));
+        if (!node) {
+            throw new Error(`Node "${name}" not found`);
+        }
+        return node;
+    }
+
+    // Hide nodes (with their children) and/or keep only the meshes under isolated nodes
+    function setVisibility(model, hide, isolate) {
+        if (isolate.length > 0) {
+            const shown = new Set();
+            isolate.forEach(name => findNode(model, name).traverse(child => shown.add(child)));
+            model.traverse((child) => {
+                if (child.isMesh) {
+                    child.visible = shown.has(child);
+                }
+            });
+        }
+        hide.forEach((name) => {
+            findNode(model, name).visible = false;
+        });
+    }
+
+    // Box of the visible meshes only; Box3.setFromObject also takes in hidden ones
+    function boundingBox(object) {
+        const box = new THREE.Box3();
+        const part = new THREE.Box3();
+        object.updateWorldMatrix(true, true);
+        object.traverseVisible((child) => {
+            if (!child.isMesh) {
+                return;
+            }
+            if (child.boundingBox !== undefined) {
+                // Skinned, instanced and batched meshes keep their own box
+                if (child.boundingBox === null) child.computeBoundingBox();
+                part.copy(child.boundingBox);
+            } else {
+                if (child.geometry.boundingBox === null) child.geometry.computeBoundingBox();
+                part.copy(child.geometry.boundingBox);
+            }
+            box.union(part.applyMatrix4(child.matrixWorld));
+        });
+        return box;
+    }
+
+    // Returns { apply(factor) }; call in the model's rest pose
+    function createExplosion(model) {
+        const center = boundingBox(model).getCenter(new THREE.Vector3());
+        const partCenter = new THREE.Vector3();
+        const worldOffsets = new Map([[model, new THREE.Vector3()]]);
+        const parts = [];
+
+        // Parents come before their children
+        model.updateWorldMatrix(true, true);
+        model.traverse((child) => {
+            if (child === model) {
+                return;
+            }
+            const inherited = worldOffsets.get(child.parent);
+            if (!child.isMesh) {
+                worldOffsets.set(child, inherited);
+                return;
+            }
+
+            if (child.geometry.boundingBox === null) child.geometry.computeBoundingBox();
+            child.geometry.boundingBox.getCenter(partCenter).applyMatrix4(child.matrixWorld);
+            const offset = partCenter.clone().sub(center);
+            worldOffsets.set(child, offset);
+
+            // World offset not already inherited from exploded ancestors, in parent space
+            const toParent = new THREE.Matrix3().setFromMatrix4(child.parent.matrixWorld).invert();
+            parts.push({
+                mesh: child,
+                rest: child.position.clone(),
+                offset: offset.clone().sub(inherited).applyMatrix3(toParent)
+            });
+        });
+
+        function apply(factor) {
+            parts.forEach((part) => {
+                part.mesh.position.copy(part.rest).addScaledVector(part.offset, factor);
+            });
+        }
+
+        return { apply };
+    }
+
+    window.ViewerParts = {
+        setVisibility,
+        boundingBox,
+        createExplosion
+    };
+})();
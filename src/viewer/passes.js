@@ -0,0 +1,249 @@
+// Auxiliary render passes shared by the viewer pages (see src/renderer/passes.js).
+// Renders the model alone into an off-screen target from the active camera,
+// reads the pixels back and returns them as PNG-ready bytes (rows top to bottom,
+// 16-bit samples big-endian) in base64. No antialiasing, tone mapping or color
+// space conversion is applied, so depth values and mask colors are exact.
+(function () {
+    const vertexShader = /* glsl */`
+        #include <common>
+        #include <batching_pars_vertex>
+        #include <morphtarget_pars_vertex>
+        #include <skinning_pars_vertex>
+        #include <clipping_planes_pars_vertex>
+
+        varying vec3 vWorldNormal;
+        varying float vViewDepth;
+
+        void main() {
+            #include <batching_vertex>
+            #include <beginnormal_vertex>
+            #include <morphinstance_vertex>
+            #include <morphnormal_vertex>
+            #include <skinbase_vertex>
+            #include <skinnormal_vertex>
+            #include <defaultnormal_vertex>
+            #include <begin_vertex>
+            #include <morphtarget_vertex>
+            #include <skinning_vertex>
+            #include <project_vertex>
+            #include <clipping_planes_vertex>
+
+            vWorldNormal = inverseTransformDirection(transformedNormal, viewMatrix);
+            vViewDepth = -mvPosition.z;
+        }
+    `;
+
+    const fragmentShaders = {
+        depth: /* glsl */`
+            #include <clipping_planes_pars_fragment>
+            varying float vViewDepth;
+            void main() {
+                #include <clipping_planes_fragment>
+                gl_FragColor = vec4(vViewDepth, 0.0, 0.0, 1.0);
+            }
+        `,
+        normal: /* glsl */`
+            #include <clipping_planes_pars_fragment>
+            varying vec3 vWorldNormal;
+            void main() {
+                #include <clipping_planes_fragment>
+                vec3 normal = normalize(vWorldNormal) * (gl_FrontFacing ? 1.0 : -1.0);
+                gl_FragColor = vec4(normal * 0.5 + 0.5, 1.0);
+            }
+        `,
+        mask: /* glsl */`
+            #include <clipping_planes_pars_fragment>
+            uniform vec3 maskColor;
+            void main() {
+                #include <clipping_planes_fragment>
+                gl_FragColor = vec4(maskColor, 1.0);
+            }
+        `
+    };
+
+    // Multiplying by an odd constant is a bijection modulo 2^24, so ids map to
+    // distinct, well-spread 24-bit colors and only id 0 (background) is black
+    function maskColor(id) {
+        return Math.imul(id, 0x9e3779) & 0xffffff;
+    }
+
+    function toHex(color) {
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+
+    // Keeps the side and section planes (see clipping.js) of the material it replaces
+    function createMaterial(pass, source, color) {
+        const material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader: fragmentShaders[pass],
+            side: source.side,
+            clipping: true,
+            clippingPlanes: source.clippingPlanes
+        });
+        if (pass === 'mask') {
+            material.uniforms.maskColor = {
+                value: new THREE.Vector3(((color >> 16) & 255) / 255, ((color >> 8) & 255) / 255, (color & 255) / 255)
+            };
+        }
+        return material;
+    }
+
+    // Swap every mesh material for a pass material; returns labels for masks
+    function overrideMaterials(model, pass, maskBy, swapped, created) {
+        const labels = {};
+        const ids = new Map();
+
+        const materialFor = (mesh, material) => {
+            if (pass !== 'mask') {
+                const replacement = createMaterial(pass, material);
+                created.push(replacement);
+                return replacement;
+            }
+
+            const key = maskBy === 'material' ? material : mesh;
+            if (!ids.has(key)) {
+                const color = maskColor(ids.size + 1);
+                const name = maskBy === 'material'
+                    ? material.name || `material_${ids.size + 1}`
+                    : mesh.name || `mesh_${ids.size + 1}`;
+                ids.set(key, color);
+                labels[toHex(color)] = name;
+            }
+            const replacement = createMaterial(pass, material, ids.get(key));
+            created.push(replacement);
+            return replacement;
+        };
+
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+            swapped.set(child, child.material);
+            child.material = Array.isArray(child.material)
+                ? child.material.map(material => materialFor(child, material))
+                : materialFor(child, child.material);
+        });
+
+        return labels;
+    }
+
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // Pack the read-back pixels (bottom-up RGBA) into top-down PNG samples
+    function packDepth(pixels, width, height) {
+        let near = Infinity;
+        let far = -Infinity;
+        for (let i = 0; i < pixels.length; i += 4) {
+            if (pixels[i + 3] > 0) {
+                near = Math.min(near, pixels[i]);
+                far = Math.max(far, pixels[i]);
+            }
+        }
+
+        const bytes = new Uint8Array(width * height * 2);
+        const range = far - near || 1;
+        for (let y = 0; y < height; y++) {
+            const source = (height - 1 - y) * width;
+            for (let x = 0; x < width; x++) {
+                const i = (source + x) * 4;
+                // 0 is reserved for background, geometry uses 1-65535
+                const value = pixels[i + 3] > 0 ? 1 + Math.round(((pixels[i] - near) / range) * 65534) : 0;
+                const o = (y * width + x) * 2;
+                bytes[o] = value >> 8;
+                bytes[o + 1] = value & 255;
+            }
+        }
+
+        const empty = near === Infinity;
+        return { bytes, channels: 1, bitDepth: 16, near: empty ? null : near, far: empty ? null : far };
+    }
+
+    function packColor(pixels, width, height, channels) {
+        const bytes = new Uint8Array(width * height * channels);
+        for (let y = 0; y < height; y++) {
+            const source = (height - 1 - y) * width;
+            for (let x = 0; x < width; x++) {
+                const i = (source + x) * 4;
+                const o = (y * width + x) * channels;
+                for (let c = 0; c < channels; c++) {
+                    bytes[o + c] = pixels[i + c];
+                }
+            }
+        }
+        return { bytes, channels, bitDepth: 8 };
+    }
+
+    // Returns { pass, width, height, channels, bitDepth, data (base64), near?, far?, labels? }
+    function capture(pass, { renderer, scene, camera, model, maskBy = 'node' }) {
+        if (!fragmentShaders[pass]) {
+            throw new Error(`Unknown render pass: ${pass}`);
+        }
+
+        // Same pixel size as a screenshot of the page
+        const width = Math.round(window.innerWidth * window.devicePixelRatio);
+        const height = Math.round(window.innerHeight * window.devicePixelRatio);
+        const target = new THREE.WebGLRenderTarget(width, height, {
+            type: pass === 'depth' ? THREE.FloatType : THREE.UnsignedByteType
+        });
+
+        const swapped = new Map();
+        const created = [];
+        const hidden = scene.children.filter(child => child !== model && child.visible);
+        const background = scene.background;
+        const clearColor = renderer.getClearColor(new THREE.Color());
+        const clearAlpha = renderer.getClearAlpha();
+
+        try {
+            const labels = overrideMaterials(model, pass, maskBy, swapped, created);
+            hidden.forEach(child => { child.visible = false; });
+            scene.background = null;
+            renderer.setClearColor(0x000000, 0);
+
+            renderer.setRenderTarget(target);
+            renderer.render(scene, camera);
+
+            const pixels = pass === 'depth' ? new Float32Array(width * height * 4) : new Uint8Array(width * height * 4);
+            renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+
+            const packed = pass === 'depth'
+                ? packDepth(pixels, width, height)
+                : packColor(pixels, width, height, pass === 'mask' ? 3 : 4);
+
+            const result = {
+                pass,
+                width,
+                height,
+                channels: packed.channels,
+                bitDepth: packed.bitDepth,
+                data: toBase64(packed.bytes)
+            };
+            if (pass === 'depth') {
+                result.near = packed.near;
+                result.far = packed.far;
+                // Viewers may rescale large models; divide by this to get model units
+                result.modelScale = model.scale.x;
+            }
+            if (pass === 'mask') {
+                result.labels = labels;
+            }
+            return result;
+
+        } finally {
+            renderer.setRenderTarget(null);
+            renderer.setClearColor(clearColor, clearAlpha);
+            scene.background = background;
+            hidden.forEach(child => { child.visible = true; });
+            swapped.forEach((material, mesh) => { mesh.material = material; });
+            created.forEach(material => material.dispose());
+            target.dispose();
+        }
+    }
+
+    window.ViewerPasses = {
+        capture
+    };
+})();
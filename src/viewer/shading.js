@@ -0,0 +1,141 @@
+// Diagnostic shading modes shared by the viewer pages.
+// Swaps the model's materials for a diagnostic view (see src/renderer/shading.js)
+// and restores the originals when the mode changes back. Diagnostic materials are
+// not tone mapped, so material-id colors come out exactly as listed in the legend.
+(function () {
+    const CLAY_COLOR = 0xd8d2c8;
+    const MISSING_UV_COLOR = 0xff00ff;
+    const OVERDRAW_COLOR = 0x201008;
+
+    const originals = new Map();
+    const created = [];
+    let checkerTexture = null;
+
+    // 8x8 cells, hue changes along U and lightness along V, so flipped or
+    // rotated UVs are visible at a glance
+    function getCheckerTexture() {
+        if (checkerTexture) return checkerTexture;
+
+        const size = 512;
+        const cells = 8;
+        const cell = size / cells;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+
+        for (let y = 0; y < cells; y++) {
+            for (let x = 0; x < cells; x++) {
+                const dark = (x + y) % 2 === 1;
+                const hue = Math.round((x / cells) * 300);
+                const lightness = 35 + Math.round(((cells - 1 - y) / cells) * 40) + (dark ? 0 : 15);
+                context.fillStyle = `hsl(${hue}, 70%, ${lightness}%)`;
+                context.fillRect(x * cell, y * cell, cell, cell);
+            }
+        }
+
+        checkerTexture = new THREE.CanvasTexture(canvas);
+        checkerTexture.colorSpace = THREE.SRGBColorSpace;
+        checkerTexture.wrapS = THREE.RepeatWrapping;
+        checkerTexture.wrapT = THREE.RepeatWrapping;
+        return checkerTexture;
+    }
+
+    function track(material) {
+        created.push(material);
+        return material;
+    }
+
+    // Distinct flat colors: hues spread by the golden angle
+    function materialIdColor(index) {
+        const color = new THREE.Color().setHSL((index * 0.618033988749895) % 1, 0.7, 0.55, THREE.SRGBColorSpace);
+        return `#${color.getHexString(THREE.SRGBColorSpace)}`;
+    }
+
+    function restore() {
+        originals.forEach((material, mesh) => {
+            mesh.material = material;
+        });
+        originals.clear();
+        created.forEach(material => material.dispose());
+        created.length = 0;
+    }
+
+    // Returns { mode, legend? }; legend is set for material-id
+    function apply(model, mode) {
+        restore();
+        if (!mode || mode === 'default') {
+            return { mode: 'default' };
+        }
+
+        const meshes = [];
+        model.traverse((child) => {
+            if (child.isMesh) meshes.push(child);
+        });
+
+        let clay = null;
+        let normals = null;
+        let overdraw = null;
+        const idMaterials = new Map();
+        const legend = [];
+
+        const replace = (mesh, material) => {
+            switch (mode) {
+                case 'wireframe': {
+                    const wire = track(material.clone());
+                    wire.wireframe = true;
+                    return wire;
+                }
+                case 'normals':
+                    return normals || (normals = track(new THREE.MeshNormalMaterial({ toneMapped: false })));
+                case 'uv-checker':
+                    if (!mesh.geometry.attributes.uv) {
+                        return track(new THREE.MeshBasicMaterial({ color: MISSING_UV_COLOR, toneMapped: false }));
+                    }
+                    return track(new THREE.MeshBasicMaterial({ map: getCheckerTexture(), side: material.side, toneMapped: false }));
+                case 'clay':
+                    return clay || (clay = track(new THREE.MeshStandardMaterial({ color: CLAY_COLOR, roughness: 0.85, metalness: 0 })));
+                case 'material-id': {
+                    let entry = idMaterials.get(material);
+                    if (!entry) {
+                        const color = materialIdColor(idMaterials.size);
+                        entry = {
+                            material: track(new THREE.MeshBasicMaterial({ color, side: material.side, toneMapped: false })),
+                            legend: { color, material: material.name || `(unnamed ${idMaterials.size})`, meshes: [] }
+                        };
+                        idMaterials.set(material, entry);
+                        legend.push(entry.legend);
+                    }
+                    entry.legend.meshes.push(mesh.name || mesh.uuid);
+                    return entry.material;
+                }
+                case 'overdraw':
+                    return overdraw || (overdraw = track(new THREE.MeshBasicMaterial({
+                        color: OVERDRAW_COLOR,
+                        blending: THREE.AdditiveBlending,
+                        transparent: true,
+                        depthTest: false,
+                        depthWrite: false,
+                        side: THREE.DoubleSide,
+                        toneMapped: false
+                    })));
+                default:
+                    throw new Error(`Unknown shading mode: ${mode}`);
+            }
+        };
+
+        meshes.forEach((mesh) => {
+            originals.set(mesh, mesh.material);
+            mesh.material = Array.isArray(mesh.material)
+                ? mesh.material.map(material => replace(mesh, material))
+                : replace(mesh, mesh.material);
+        });
+
+        return mode === 'material-id' ? { mode, legend } : { mode };
+    }
+
+    window.ViewerShading = {
+        apply,
+        restore
+    };
+})();
@@ -0,0 +1,60 @@
+// Loads the vendored three.js modules (resolved through the page's import map)
+// and exposes them as the `THREE` global the viewer scripts are written against.
+// Fires `three-ready` when everything is in place, or sets `window.viewerError`
+// and fires `three-error` so the page never starts with a missing asset.
+
+// Keep in sync with REQUIRED_ASSETS in src/middleware/vendorAssets.js
+const ADDONS = [
+    'three/addons/loaders/GLTFLoader.js',
+    'three/addons/controls/OrbitControls.js',
+    'three/addons/environments/RoomEnvironment.js',
+    'three/addons/loaders/RGBELoader.js',
+    'three/addons/loaders/EXRLoader.js',
+    'three/addons/lights/RectAreaLightUniformsLib.js',
+    'three/addons/shaders/HorizontalBlurShader.js',
+    'three/addons/shaders/VerticalBlurShader.js',
+    'three/addons/postprocessing/EffectComposer.js',
+    'three/addons/postprocessing/RenderPass.js',
+    'three/addons/postprocessing/ShaderPass.js',
+    'three/addons/postprocessing/OutputPass.js',
+    'three/addons/postprocessing/SSAOPass.js',
+    'three/addons/postprocessing/UnrealBloomPass.js',
+    'three/addons/postprocessing/OutlinePass.js',
+    'three/addons/postprocessing/SMAAPass.js',
+    'three/addons/postprocessing/SSAARenderPass.js',
+    'three/addons/shaders/FXAAShader.js'
+];
+
+async function importAsset(specifier) {
+    try {
+        return await import(specifier);
+    } catch (error) {
+        throw new Error(`Missing viewer asset "${specifier}": ${error.message}`);
+    }
+}
+
+async function loadThree() {
+    const core = await importAsset('three');
+    const addons = [];
+    for (const specifier of ADDONS) {
+        addons.push(await importAsset(specifier));
+    }
+
+    window.THREE = Object.assign({}, core, ...addons);
+    window.threeReady = true;
+    window.dispatchEvent(new Event('three-ready'));
+    console.log(`📦 three.js r${core.REVISION} loaded from vendored bundle`);
+}
+
+loadThree().catch((error) => {
+    console.error('❌ Viewer refused to start:', error.message);
+    window.viewerError = error.message;
+
+    const loading = document.getElementById('loading');
+    if (loading) {
+        loading.textContent = error.message;
+        loading.style.color = 'red';
+    }
+
+    window.dispatchEvent(new CustomEvent('three-error', { detail: error }));
+});
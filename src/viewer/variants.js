@@ -0,0 +1,57 @@
+// Material variants (KHR_materials_variants) shared by the viewer pages
+// (see src/renderer/variants.js). GLTFLoader keeps the extension data in userData:
+// the variant list on the loaded glTF, the material mappings on each primitive's mesh.
+// Variant materials are loaded on first use through the loader's parser and cached
+// by it, so switching back and forth does not reload anything.
+(function () {
+    const EXTENSION = 'KHR_materials_variants';
+
+    // Returns { names, parser }, or null when the file has no variants
+    function read(gltf) {
+        const extension = gltf.userData.gltfExtensions && gltf.userData.gltfExtensions[EXTENSION];
+        if (!extension) {
+            return null;
+        }
+        return {
+            names: (extension.variants || []).map((variant, index) => variant.name || `variant_${index}`),
+            parser: gltf.parser
+        };
+    }
+
+    // Switch every mapped primitive to the variant's material; null = the file's default materials
+    async function select(model, variants, name) {
+        const index = name == null ? -1 : variants.names.indexOf(name);
+        if (name != null && index < 0) {
+            throw new Error(`Material variant "${name}" not found`);
+        }
+
+        const meshes = [];
+        model.traverse((child) => {
+            if (child.isMesh && child.userData.gltfExtensions && child.userData.gltfExtensions[EXTENSION]) {
+                meshes.push(child);
+            }
+        });
+
+        await Promise.all(meshes.map(async (mesh) => {
+            if (!mesh.userData.defaultMaterial) {
+                mesh.userData.defaultMaterial = mesh.material;
+            }
+            const mapping = (mesh.userData.gltfExtensions[EXTENSION].mappings || [])
+                .find(item => item.variants.includes(index));
+            if (mapping) {
+                mesh.material = await variants.parser.getDependency('material', mapping.material);
+                // Same derived material (vertex colors, flat shading, ...) the loader would have used
+                variants.parser.assignFinalMaterial(mesh);
+            } else {
+                mesh.material = mesh.userData.defaultMaterial;
+            }
+        }));
+
+        return meshes.length;
+    }
+
+    window.ViewerVariants = {
+        read,
+        select
+    };
+})();